@@ -0,0 +1,9 @@
+// Финансовый трекер - Запуск приложения
+// Отдельный файл вместо встроенного скрипта: Content-Security-Policy запрещает встроенные скрипты
+
+let financeAuth;
+
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('Initializing Finance Auth...');
+    financeAuth = new FinanceAuth();
+});
@@ -1,15 +1,95 @@
 // Финансовый трекер - Модуль аутентификации с системой экспорта/импорта
 class FinanceAuth {
     constructor() {
+        this.storage = createStorageAdapter();
         this.currentUser = null;
         this.transactions = [];
+        this.allTransactions = [];
+        this.storedTransactions = [];
+        this.syncConflicts = [];
+        this.transactionLock = Promise.resolve();
+        this.tombstoneTTL = 90 * 24 * 60 * 60 * 1000;
+        this.trashTTL = 30 * 24 * 60 * 60 * 1000;
+        this.selectedTransactions = new Set();
+        this.undoAction = null;
+        this.undoTimer = null;
+        this.undoTimeout = 8000;
+        this.vaultKey = null;
+        this.vaultSalt = null;
+        this.collections = {};
+        this.collectionVersions = {};
+        this.collectionDefaults = {
+            recurring: [],
+            budgets: {},
+            accounts: [
+                { id: 'default', name: 'Основной счёт', currency: 'RUB', openingBalance: 0, archived: false }
+            ],
+            settings: { baseCurrency: 'RUB' },
+            rates: [],
+            importRules: [],
+            goals: []
+        };
+        this.currencies = { RUB: '₽', USD: '$', EUR: '€', GBP: '£', CNY: '¥', KZT: '₸', TRY: '₺' };
+        this.occurrenceToEdit = null;
+        this.csvImport = null;
+        this.pendingImport = null;
         this.currentPeriod = 'month';
+        this.periodOffset = 0;
+        this.customRange = null;
+        this.compareMode = false;
+        this.listFilter = this.getDefaultListFilter();
+        this.virtualList = null;
+        this.listRowHeights = { day: 44, item: 96 };
+        this.listScrollFrame = null;
+        this.charts = new FinanceCharts(value => this.formatMoney(value));
         this.transactionToDelete = null;
-        this.incomeCategories = ['Зарплата', 'Подработка', 'Инвестиции', 'Подарки', 'Другое'];
-        this.expenseCategories = ['Продукты', 'Транспорт', 'Жилье', 'Развлечения', 'Здоровье', 'Одежда', 'Образование', 'Другое'];
+        this.transactionToEdit = null;
+        this.pendingConfirm = null;
+        this.warningShownUntil = 0;
+        this.editAccountIds = [];
+        this.defaultIncomeCategories = ['Зарплата', 'Подработка', 'Инвестиции', 'Подарки', 'Другое'];
+        this.defaultExpenseCategories = ['Продукты', 'Транспорт', 'Жилье', 'Развлечения', 'Здоровье', 'Одежда', 'Образование', 'Другое'];
+        this.defaultCategoryIcons = {
+            'Продукты': '🛒',
+            'Транспорт': '🚗',
+            'Жилье': '🏠',
+            'Развлечения': '🎮',
+            'Здоровье': '🏥',
+            'Одежда': '👕',
+            'Образование': '📚',
+            'Зарплата': '💼',
+            'Подработка': '💰',
+            'Инвестиции': '📈',
+            'Подарки': '🎁'
+        };
+        this.collectionDefaults.categories = this.getDefaultCategories();
+        this.categoryManageType = 'expense';
+        this.categorySeparator = ' › ';
         this.lastSyncTime = null;
-        this.syncInterval = null;
-        this.dataVersion = 1;
+        this.remoteConfigKey = 'finance_tracker_remote';
+        this.remoteState = { status: 'off', pending: 0, error: '' };
+        this.remoteLock = Promise.resolve();
+        this.remotePollInterval = 60 * 1000;
+        this.remoteTimer = null;
+        this.outboxSeq = 0;
+        this.syncChannel = null;
+        this.syncListeners = null;
+        this.syncMessageKey = 'finance_tracker_sync_message';
+        this.tabSyncTimer = null;
+        this.pendingTabSync = null;
+        this.sessionTimer = null;
+        this.dataVersion = 2;
+        this.migrationBackupKey = 'finance_tracker_migration_backup';
+        this.passwordIterations = 600000;
+        this.sessionId = null;
+        this.sessionTTL = 7 * 24 * 60 * 60 * 1000;
+        this.idleTimeout = 15 * 60 * 1000;
+        this.lastActivity = Date.now();
+        this.lastSessionTouch = 0;
+        this.serviceWorkerUrl = 'sw.js';
+        this.waitingWorker = null;
+        this.updateRequested = false;
+        this.installPrompt = null;
         this.init();
     }
 
@@ -19,42 +99,244 @@ class FinanceAuth {
         this.initializeGlobalStorage();
         this.checkAuthStatus();
         this.setupEventListeners();
-        setTimeout(() => this.updateCategories(), 100);
+        this.setupAppShell();
+        this.setupViewHash();
+        setTimeout(() => {
+            this.updateCategories();
+            this.resetTransactionDate();
+        }, 100);
         this.createTestUser();
     }
 
     // Инициализация глобального хранилища
     initializeGlobalStorage() {
-        // Создаем глобальное хранилище в localStorage с уникальным ключом
+        // Создаем глобальное хранилище с уникальным ключом
         const globalKey = 'finance_tracker_global_data';
         
-        if (!localStorage.getItem(globalKey)) {
+        if (!this.storage.getItem(globalKey)) {
+            // Устаревшие данные financeUsers переносятся миграцией с версии 1
             const globalData = {
                 users: {},
                 transactions: {},
-                version: this.dataVersion,
+                sessions: {},
+                version: this.storage.getItem('financeUsers') ? 1 : this.dataVersion,
                 lastUpdated: new Date().toISOString()
             };
-            localStorage.setItem(globalKey, JSON.stringify(globalData));
+            this.storage.setItem(globalKey, JSON.stringify(globalData));
+        }
+        
+        // Приводим данные к текущей версии
+        this.runMigrations();
+    }
+
+    // Упорядоченные шаги миграции; каждый переводит данные на version
+    getMigrations() {
+        return [
+            {
+                version: 2,
+                name: 'Перенос пользователей из устаревшего ключа financeUsers',
+                up: (store) => {
+                    const legacyUsers = store.get('financeUsers');
+                    if (!legacyUsers) return;
+                    
+                    const globalData = store.get('finance_tracker_global_data');
+                    Object.entries(legacyUsers).forEach(([username, user]) => {
+                        // Пользователь из глобального хранилища важнее устаревшей копии
+                        if (!user || typeof user !== 'object' || globalData.users[username]) return;
+                        
+                        // Пароль в открытом виде будет захеширован при первом входе
+                        globalData.users[username] = {
+                            username,
+                            email: user.email || '',
+                            password: user.password,
+                            createdAt: user.createdAt || new Date().toISOString(),
+                            lastModified: new Date().toISOString(),
+                            deviceId: this.generateDeviceId()
+                        };
+                        
+                        const local = store.get(`transactions_${username}`);
+                        if (!globalData.transactions[username]) {
+                            globalData.transactions[username] = Array.isArray(local) ? local : [];
+                        }
+                    });
+                    
+                    store.set('finance_tracker_global_data', globalData);
+                    store.remove('financeUsers');
+                }
+            },
+            {
+                version: 2,
+                name: 'Нормализация незашифрованных транзакций',
+                up: (store) => {
+                    const normalize = (transactions) => transactions
+                        .filter(t => t && typeof t === 'object')
+                        .map(t => {
+                            const amount = typeof t.amount === 'string' ? parseFloat(t.amount.replace(',', '.')) : t.amount;
+                            const date = t.date || t.createdAt || new Date().toISOString();
+                            return {
+                                ...t,
+                                id: t.id || Date.now().toString(36) + Math.random().toString(36).substr(2, 6),
+                                amount: isFinite(amount) ? amount : 0,
+                                date,
+                                createdAt: t.createdAt || date,
+                                updatedAt: t.updatedAt || t.createdAt || date
+                            };
+                        });
+                    
+                    // Зашифрованные данные уже в новом формате и без ключа недоступны
+                    const globalData = store.get('finance_tracker_global_data');
+                    Object.keys(globalData.transactions).forEach(username => {
+                        if (Array.isArray(globalData.transactions[username])) {
+                            globalData.transactions[username] = normalize(globalData.transactions[username]);
+                        }
+                    });
+                    store.set('finance_tracker_global_data', globalData);
+                    
+                    store.keys().filter(key => key.startsWith('transactions_')).forEach(key => {
+                        const value = store.get(key);
+                        if (Array.isArray(value)) store.set(key, normalize(value));
+                    });
+                }
+            },
+            {
+                version: 2,
+                name: 'Приведение меток lastModified_* к ISO-формату',
+                up: (store) => {
+                    store.keys().filter(key => key.startsWith('lastModified_')).forEach(key => {
+                        const raw = store.getRaw(key);
+                        const date = /^\d+$/.test(raw) ? new Date(Number(raw)) : new Date(raw);
+                        if (isNaN(date.getTime())) {
+                            store.remove(key);
+                        } else {
+                            store.setRaw(key, date.toISOString());
+                        }
+                    });
+                }
+            }
+        ];
+    }
+
+    // Ключи хранилища, которые затрагивают миграции
+    getMigratedKeys() {
+        return this.storage.keys().filter(key =>
+            key === 'finance_tracker_global_data' || key === 'financeUsers' ||
+            key.startsWith('transactions_') || key.startsWith('lastModified_'));
+    }
+
+    // Восстановление снимка данных
+    restoreSnapshot(snapshot) {
+        this.getMigratedKeys().forEach(key => {
+            if (!(key in snapshot)) this.storage.removeItem(key);
+        });
+        Object.entries(snapshot).forEach(([key, value]) => this.storage.setItem(key, value));
+    }
+
+    // Миграция данных со снимком и откатом при ошибке
+    runMigrations() {
+        const globalKey = 'finance_tracker_global_data';
+        
+        // Прерванная миграция: возвращаем данные из снимка и повторяем
+        const pendingBackup = this.storage.getItem(this.migrationBackupKey);
+        if (pendingBackup) {
+            try {
+                console.warn('Restoring data after interrupted migration');
+                this.restoreSnapshot(JSON.parse(pendingBackup).data);
+            } catch (error) {
+                console.error('Error restoring migration backup:', error);
+            }
+        }
+        
+        const globalData = JSON.parse(this.storage.getItem(globalKey));
+        const fromVersion = globalData.version || 1;
+        const steps = this.getMigrations().filter(step => step.version > fromVersion);
+        
+        if (fromVersion > this.dataVersion) {
+            console.warn(`Data version ${fromVersion} is newer than supported ${this.dataVersion}`);
+        }
+        
+        // Снимок до миграции
+        const snapshot = {};
+        this.getMigratedKeys().forEach(key => {
+            snapshot[key] = this.storage.getItem(key);
+        });
+        
+        // Шаги работают с копией данных в памяти
+        const working = new Map(Object.entries(snapshot));
+        const store = {
+            keys: () => [...working.keys()],
+            getRaw: (key) => working.has(key) ? working.get(key) : null,
+            setRaw: (key, value) => working.set(key, value),
+            get: (key) => {
+                if (!working.has(key)) return null;
+                try {
+                    return JSON.parse(working.get(key));
+                } catch (error) {
+                    return null;
+                }
+            },
+            set: (key, value) => working.set(key, JSON.stringify(value)),
+            remove: (key) => working.delete(key)
+        };
+        
+        try {
+            steps.forEach(step => {
+                console.log(`Migration to v${step.version}: ${step.name}`);
+                step.up(store);
+            });
+            
+            // Обязательная структура глобального хранилища
+            const migrated = store.get(globalKey);
+            ['users', 'transactions', 'sessions'].forEach(field => {
+                if (!migrated[field] || typeof migrated[field] !== 'object') migrated[field] = {};
+            });
+            if (steps.length > 0 || migrated.version < this.dataVersion) {
+                migrated.version = Math.max(fromVersion, this.dataVersion);
+                migrated.lastUpdated = new Date().toISOString();
+            }
+            store.set(globalKey, migrated);
+        } catch (error) {
+            // Данные в хранилище еще не тронуты
+            console.error('Migration failed, data left at version', fromVersion, error);
+            return false;
         }
         
-        // Проверяем версию данных
-        const globalData = JSON.parse(localStorage.getItem(globalKey));
-        if (globalData.version !== this.dataVersion) {
-            // Миграция данных при необходимости
-            globalData.version = this.dataVersion;
-            globalData.lastUpdated = new Date().toISOString();
-            localStorage.setItem(globalKey, JSON.stringify(globalData));
+        const changed = [...working.entries()].filter(([key, value]) => snapshot[key] !== value);
+        const removed = Object.keys(snapshot).filter(key => !working.has(key));
+        if (changed.length === 0 && removed.length === 0) return true;
+        
+        try {
+            this.storage.setItem(this.migrationBackupKey, JSON.stringify({
+                fromVersion,
+                createdAt: new Date().toISOString(),
+                data: snapshot
+            }));
+        } catch (error) {
+            console.error('Cannot store migration backup, migration postponed:', error);
+            return false;
+        }
+        
+        try {
+            changed.forEach(([key, value]) => this.storage.setItem(key, value));
+            removed.forEach(key => this.storage.removeItem(key));
+        } catch (error) {
+            console.error('Migration write failed, rolling back:', error);
+            this.restoreSnapshot(snapshot);
+            this.storage.removeItem(this.migrationBackupKey);
+            return false;
         }
+        
+        // Снимок может содержать устаревшие пароли в открытом виде
+        this.storage.removeItem(this.migrationBackupKey);
+        return true;
     }
 
     // Получение глобальных данных
     getGlobalData() {
         try {
-            return JSON.parse(localStorage.getItem('finance_tracker_global_data') || '{}');
+            return JSON.parse(this.storage.getItem('finance_tracker_global_data') || '{}');
         } catch (e) {
             console.error('Error reading global data:', e);
-            return { users: {}, transactions: {}, version: this.dataVersion };
+            return { users: {}, transactions: {}, sessions: {}, version: this.dataVersion };
         }
     }
 
@@ -62,7 +344,7 @@ class FinanceAuth {
     saveGlobalData(data) {
         try {
             data.lastUpdated = new Date().toISOString();
-            localStorage.setItem('finance_tracker_global_data', JSON.stringify(data));
+            this.storage.setItem('finance_tracker_global_data', JSON.stringify(data));
             console.log('Global data saved');
             return true;
         } catch (e) {
@@ -72,921 +354,6367 @@ class FinanceAuth {
     }
 
     // Создание тестового пользователя
-    createTestUser() {
-        const globalData = this.getGlobalData();
+    async createTestUser() {
+        if (this.getGlobalData().users?.['test']) return;
         
-        if (!globalData.users['test']) {
-            globalData.users['test'] = {
-                username: 'test',
-                email: 'test@example.com',
-                password: 'Test123',
-                createdAt: new Date().toISOString(),
-                lastModified: new Date().toISOString(),
-                deviceId: this.generateDeviceId()
-            };
+        try {
+            const passwordRecord = await this.createPasswordRecord('Test123');
+            const globalData = this.getGlobalData();
             
-            globalData.transactions['test'] = [];
-            this.saveGlobalData(globalData);
-            console.log('Test user created in global storage');
+            if (!globalData.users['test']) {
+                globalData.users['test'] = {
+                    username: 'test',
+                    email: 'test@example.com',
+                    ...passwordRecord,
+                    createdAt: new Date().toISOString(),
+                    lastModified: new Date().toISOString(),
+                    deviceId: this.generateDeviceId()
+                };
+                
+                this.saveGlobalData(globalData);
+                console.log('Test user created in global storage');
+            }
+        } catch (error) {
+            console.error('Error creating test user:', error);
         }
     }
 
     // Генерация ID устройства
     generateDeviceId() {
-        let deviceId = localStorage.getItem('finance_device_id');
+        let deviceId = this.storage.getItem('finance_device_id');
         if (!deviceId) {
             deviceId = 'device_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            localStorage.setItem('finance_device_id', deviceId);
+            this.storage.setItem('finance_device_id', deviceId);
         }
         return deviceId;
     }
 
-    // Проверка статуса аутентификации
-    checkAuthStatus() {
-        console.log('Checking auth status...');
-        const authData = localStorage.getItem('financeAuth');
-        if (authData) {
-            try {
-                const { user, token } = JSON.parse(authData);
-                if (user && token) {
-                    console.log('User found:', user.username);
-                    this.currentUser = user;
-                    this.loadUserTransactions();
-                    this.showMainApp();
-                    this.startAutoSync();
-                    return;
-                }
-            } catch (e) {
-                console.error('Invalid auth data:', e);
-                localStorage.removeItem('financeAuth');
-            }
+    // Генерация случайной соли для пароля
+    generateSalt() {
+        const salt = new Uint8Array(16);
+        crypto.getRandomValues(salt);
+        return this.bufferToBase64(salt);
+    }
+
+    // Преобразование байтов в base64
+    bufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    // Преобразование base64 в байты
+    base64ToBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
         }
-        this.showAuth();
+        return bytes;
     }
 
-    // Настройка обработчиков событий
-    setupEventListeners() {
-        // Табы аутентификации
-        const loginTab = document.getElementById('loginTab');
-        const registerTab = document.getElementById('registerTab');
+    // Хеширование пароля через PBKDF2 (WebCrypto)
+    async hashPassword(password, salt, iterations) {
+        const encoder = new TextEncoder();
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.base64ToBuffer(salt), iterations },
+            baseKey,
+            256
+        );
+        return this.bufferToBase64(bits);
+    }
+
+    // Создание записи пароля с солью и числом итераций
+    async createPasswordRecord(password) {
+        const passwordSalt = this.generateSalt();
+        const passwordIterations = this.passwordIterations;
+        const passwordHash = await this.hashPassword(password, passwordSalt, passwordIterations);
+        return { passwordHash, passwordSalt, passwordIterations };
+    }
+
+    // Проверка пароля (включая старые записи с паролем в открытом виде)
+    async verifyPassword(user, password) {
+        if (!user) return false;
         
-        if (loginTab) loginTab.onclick = () => this.switchAuthTab('login');
-        if (registerTab) registerTab.onclick = () => this.switchAuthTab('register');
+        if (!user.passwordHash) {
+            return typeof user.password === 'string' && this.safeEqual(user.password, password);
+        }
         
-        // Формы
-        const loginForm = document.getElementById('loginForm');
-        if (loginForm) loginForm.onsubmit = (e) => this.handleLogin(e);
+        const hash = await this.hashPassword(password, user.passwordSalt, user.passwordIterations);
+        return this.safeEqual(hash, user.passwordHash);
+    }
 
-        const registerForm = document.getElementById('registerForm');
-        if (registerForm) registerForm.onsubmit = (e) => this.handleRegister(e);
+    // Нужно ли пересчитать хеш пароля
+    needsPasswordRehash(user) {
+        return !user.passwordHash || user.passwordIterations < this.passwordIterations;
+    }
 
-        const registerPassword = document.getElementById('registerPassword');
-        if (registerPassword) registerPassword.oninput = () => this.checkPasswordRequirements();
+    // Сравнение строк за постоянное время
+    safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
 
-        const transactionForm = document.getElementById('transactionForm');
-        if (transactionForm) transactionForm.onsubmit = (e) => this.handleAddTransaction(e);
+    // Данные пользователя без учетных данных
+    getPublicUserData(user) {
+        if (!user) return null;
+        const { password, passwordHash, passwordSalt, passwordIterations, vaultSalt, vaultIterations, ...publicData } = user;
+        return publicData;
+    }
 
-        const typeSelect = document.getElementById('type');
-        if (typeSelect) typeSelect.onchange = () => this.updateCategories();
+    // Получение ключа шифрования AES-GCM из пароля
+    async deriveVaultKey(password, salt, iterations) {
+        const encoder = new TextEncoder();
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.base64ToBuffer(salt), iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Создание параметров хранилища для нового пароля
+    createVaultRecord() {
+        return { vaultSalt: this.generateSalt(), vaultIterations: this.passwordIterations };
+    }
+
+    // Проверка, что значение является зашифрованным контейнером
+    isEncryptedEnvelope(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.ciphertext === 'string';
+    }
+
+    // Шифрование данных ключом хранилища
+    async encryptData(data, key = this.vaultKey) {
+        if (!key) throw new Error('Хранилище заблокировано');
         
-        // Кнопки периода
-        document.querySelectorAll('.period-btn').forEach(btn => {
-            btn.onclick = () => this.changePeriod(btn.dataset.period);
-        });
+        const iv = new Uint8Array(12);
+        crypto.getRandomValues(iv);
+        const encoded = new TextEncoder().encode(JSON.stringify(data));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoded);
         
-        // Кнопка выхода
-        const logoutBtn = document.getElementById('logoutBtn');
-        if (logoutBtn) logoutBtn.onclick = () => this.logout();
+        return {
+            alg: 'AES-GCM',
+            iv: this.bufferToBase64(iv),
+            ciphertext: this.bufferToBase64(ciphertext)
+        };
+    }
+
+    // Расшифровка данных ключом хранилища
+    async decryptData(envelope, key = this.vaultKey) {
+        if (!key) throw new Error('Хранилище заблокировано');
         
-        // Кнопки синхронизации
-        const exportBtn = document.getElementById('exportBtn');
-        const importBtn = document.getElementById('importBtn');
-        const syncBtn = document.getElementById('syncBtn');
+        const decrypted = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBuffer(envelope.iv) },
+            key,
+            this.base64ToBuffer(envelope.ciphertext)
+        );
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    }
+
+    // Расшифровка списка транзакций (старые данные хранятся открытым массивом)
+    async decryptTransactions(value) {
+        if (this.isEncryptedEnvelope(value)) {
+            const transactions = await this.decryptData(value);
+            return Array.isArray(transactions) ? transactions : [];
+        }
+        return Array.isArray(value) ? value : [];
+    }
+
+    // Разблокировка хранилища пользователя паролем
+    async unlockVault(username, password) {
+        const globalData = this.getGlobalData();
+        const user = globalData.users[username];
         
-        if (exportBtn) exportBtn.onclick = () => this.exportData();
-        if (importBtn) importBtn.onclick = () => this.importData();
-        if (syncBtn) syncBtn.onclick = () => this.syncWithGlobal();
+        if (!user.vaultSalt) {
+            Object.assign(user, this.createVaultRecord());
+            this.saveGlobalData(globalData);
+        }
         
-        // Модальное окно удаления
-        const modalCancel = document.getElementById('modalCancel');
-        const modalConfirm = document.getElementById('modalConfirm');
+        this.vaultKey = await this.deriveVaultKey(password, user.vaultSalt, user.vaultIterations);
+        this.vaultSalt = user.vaultSalt;
+        await this.migrateLegacyTransactions(username);
+    }
+
+    // Пароль сменили в другой вкладке — ключ в памяти устарел
+    assertVaultKeyFresh() {
+        const user = this.getGlobalData().users?.[this.currentUser.username];
+        if (user && user.vaultSalt !== this.vaultSalt) {
+            throw new DOMException('Ключ хранилища устарел', 'OperationError');
+        }
+    }
+
+    // Однократный перенос транзакций из прежнего формата (весь список одной строкой) в записи хранилища
+    async migrateLegacyTransactions(username) {
+        const localKey = `transactions_${username}`;
+        const baseKey = `syncBase_${username}`;
+        const localValue = JSON.parse(this.storage.getItem(localKey) || 'null');
+        const globalValue = this.getGlobalData().transactions?.[username] ?? null;
+        const baseValue = JSON.parse(this.storage.getItem(baseKey) || 'null');
+        if (localValue === null && globalValue === null && baseValue === null) return;
         
-        if (modalCancel) modalCancel.onclick = () => this.closeDeleteModal();
-        if (modalConfirm) modalConfirm.onclick = () => this.confirmDelete();
+        const localRecords = (await this.decryptTransactions(localValue)).filter(t => t && t.id);
+        const globalRecords = (await this.decryptTransactions(globalValue)).filter(t => t && t.id);
+        const base = this.isEncryptedEnvelope(baseValue) ? await this.decryptData(baseValue) : {};
         
-        const modalOverlay = document.getElementById('deleteModal');
-        if (modalOverlay) {
-            modalOverlay.onclick = (e) => {
-                if (e.target === modalOverlay) {
-                    this.closeDeleteModal();
-                }
-            };
-        }
+        const localRows = await Promise.all(localRecords.map(record => this.encryptRecord(record)));
+        // Одинаковые версии в обеих копиях шифруем один раз
+        const shared = new Map(localRows.map(row => [row.id, row]));
+        const globalRows = await Promise.all(globalRecords.map(record => {
+            const row = shared.get(record.id);
+            return row && row.signature === this.getRecordSignature(record) ? row : this.encryptRecord(record);
+        }));
+        
+        await this.storage.writeRecords([
+            { type: 'put', space: 'local', username, rows: localRows },
+            { type: 'put', space: 'global', username, rows: globalRows },
+            { type: 'put', space: 'base', username, rows: Object.entries(base).map(([id, signature]) => this.createBaseRow(id, signature)) }
+        ]);
+        
+        // Старые ключи удаляем только после успешной записи
+        this.storage.removeItem(localKey);
+        this.storage.removeItem(baseKey);
+        const globalData = this.getGlobalData();
+        if (globalData.transactions) delete globalData.transactions[username];
+        this.saveGlobalData(globalData);
+        console.log(`Transactions of ${username} moved to ${this.storage.type}`);
     }
 
-    // Запуск автоматической синхронизации
-    startAutoSync() {
-        if (this.syncInterval) {
-            clearInterval(this.syncInterval);
-        }
+    // Запись хранилища: дата и версия открыты для индексов и слияния, содержимое зашифровано
+    async encryptRecord(record, key = this.vaultKey) {
+        return {
+            id: record.id,
+            date: record.deleted ? '' : (record.date || ''),
+            signature: this.getRecordSignature(record),
+            payload: await this.encryptData(record, key)
+        };
+    }
+
+    // Загрузка расшифрованных транзакций из локального хранилища
+    async loadVaultTransactions(written = []) {
+        if (!this.currentUser) return;
         
-        // Синхронизируем каждые 5 секунд
-        this.syncInterval = setInterval(() => {
-            if (this.currentUser) {
-                this.syncWithGlobal();
-            }
-        }, 5000);
+        const rows = await this.storage.getRecords('local', this.currentUser.username);
+        // Расшифровываем только записи, изменившиеся с прошлой загрузки
+        const known = new Map([...this.storedTransactions, ...written].map(t => [t.id, t]));
+        const records = await Promise.all(rows.map(row => {
+            const record = known.get(row.id);
+            return record && this.getRecordSignature(record) === row.signature ? record : this.decryptData(row.payload);
+        }));
+        this.setStoredTransactions(records);
+    }
+
+    // Все записи вместе с удаленными; в интерфейсе только действующие
+    setStoredTransactions(records) {
+        this.storedTransactions = records;
+        this.allTransactions = records.filter(t => t && !t.deleted);
+    }
+
+    // Отпечаток видимых транзакций: меняется, только если изменилась хотя бы одна из них
+    getTransactionsFingerprint() {
+        return this.allTransactions.map(t => `${t.id}@${this.getRecordSignature(t)}`).join('|');
+    }
+
+    // Совпадают ли записи в памяти с записями хранилища
+    isMemoryFresh(rows) {
+        if (rows.length !== this.storedTransactions.length) return false;
+        const signatures = new Map(this.storedTransactions.map(t => [t.id, this.getRecordSignature(t)]));
+        return rows.every(row => signatures.get(row.id) === row.signature);
+    }
+
+    // Последовательное выполнение операций записи транзакций
+    runExclusive(task) {
+        const run = this.transactionLock.then(task, task);
+        this.transactionLock = run.catch(() => {});
+        return run;
+    }
+
+    // Версия записи для трехстороннего слияния
+    getRecordSignature(record) {
+        return `${record.rev || 0}:${record.updatedAt || ''}:${record.deleted ? 'deleted' : ''}`;
+    }
+
+    // Содержимое записи без служебных полей
+    getRecordContent(record) {
+        const { rev, updatedAt, createdAt, deviceId, deletedAt, ...content } = record;
+        return JSON.stringify(Object.keys(content).sort().map(key => [key, content[key]]));
+    }
+
+    // Трехстороннее слияние: base — версии записей на момент прошлого слияния
+    mergeRecords(base, localRecords, remoteRecords) {
+        const local = new Map(localRecords.filter(Boolean).map(t => [t.id, t]));
+        const remote = new Map(remoteRecords.filter(Boolean).map(t => [t.id, t]));
+        const merged = new Map();
+        const conflicts = [];
         
-        // Синхронизируем при фокусе окна
-        window.addEventListener('focus', () => {
-            if (this.currentUser) {
-                this.syncWithGlobal();
+        new Set([...local.keys(), ...remote.keys()]).forEach(id => {
+            const mine = local.get(id);
+            const theirs = remote.get(id);
+            
+            // Отсутствие записи не означает удаления — удаляют только метки
+            if (!mine || !theirs) {
+                merged.set(id, mine || theirs);
+                return;
             }
-        });
-        
-        // Синхронизируем при изменении видимости страницы
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden && this.currentUser) {
-                this.syncWithGlobal();
+            
+            const mineSignature = this.getRecordSignature(mine);
+            const theirsSignature = this.getRecordSignature(theirs);
+            
+            if (mineSignature === theirsSignature ||
+                (!!mine.deleted === !!theirs.deleted && this.getRecordContent(mine) === this.getRecordContent(theirs))) {
+                merged.set(id, (theirs.rev || 0) > (mine.rev || 0) ? theirs : mine);
+            } else if (mineSignature === base[id]) {
+                merged.set(id, theirs);
+            } else if (theirsSignature === base[id]) {
+                merged.set(id, mine);
+            } else if (mine.deleted && theirs.deleted) {
+                // Удалена в обоих местах — спрашивать нечего
+                merged.set(id, this.pickDeletedRecord(mine, theirs));
+            } else {
+                // Запись изменена в двух местах — решает пользователь
+                conflicts.push({ id, local: mine, remote: theirs });
+                merged.set(id, mine);
             }
         });
+        
+        return { merged, conflicts };
     }
 
-    // Остановка автоматической синхронизации
-    stopAutoSync() {
-        if (this.syncInterval) {
-            clearInterval(this.syncInterval);
-            this.syncInterval = null;
-        }
+    // Выбор из двух меток удаления: окончательное удаление важнее корзины,
+    // иначе — более новая версия, чтобы все устройства выбрали одну и ту же
+    pickDeletedRecord(mine, theirs) {
+        if (!mine.deletedAt !== !theirs.deletedAt) return mine.deletedAt ? theirs : mine;
+        const order = (record) => [String(record.rev || 0).padStart(12, '0'), record.updatedAt || '', record.deviceId || ''].join('|');
+        return order(theirs) > order(mine) ? theirs : mine;
     }
 
-    // Синхронизация с глобальным хранилищем
-    syncWithGlobal() {
+    // Версии записей на момент последней синхронизации
+    async loadSyncBase() {
+        const rows = await this.storage.getRecords('base', this.currentUser.username);
+        return Object.fromEntries(rows.map(row => [row.id, row.signature]));
+    }
+
+    // Запись версии последней синхронизации (содержимое не хранится)
+    createBaseRow(id, signature) {
+        return { id, date: '', signature, payload: null };
+    }
+
+    // Устаревшая метка удаления; определяется по версии записи без расшифровки
+    isExpiredTombstone(signature, expired) {
+        if (!signature.endsWith(':deleted')) return false;
+        const updatedAt = signature.slice(signature.indexOf(':') + 1, signature.lastIndexOf(':'));
+        return new Date(updatedAt).getTime() < expired;
+    }
+
+    // Сохранение изменений транзакций в зашифрованном виде; записываются только изменившиеся записи.
+    // upserts — новые и измененные транзакции, deletes — идентификаторы удаляемых в корзину,
+    // purge — идентификаторы удаляемых окончательно. Изменения применяются к версиям,
+    // загруженным к моменту записи, поэтому остальные записи не затрагиваются
+    async saveUserTransactions({ upserts = [], deletes = [], purge = [] } = {}) {
         if (!this.currentUser) return;
         
-        try {
-            console.log('Syncing with global storage for user:', this.currentUser.username);
+        await this.runExclusive(async () => {
+            this.assertVaultKeyFresh();
             
-            const globalData = this.getGlobalData();
-            const userTransactions = globalData.transactions[this.currentUser.username] || [];
-            const userLastModified = globalData.users[this.currentUser.username]?.lastModified;
-            
-            // Получаем локальные данные
-            const localTransactions = JSON.parse(localStorage.getItem(`transactions_${this.currentUser.username}`) || '[]');
-            const localLastModified = localStorage.getItem(`lastModified_${this.currentUser.username}`);
-            
-            // Анализируем, какие данные новее
-            let shouldUpdate = false;
-            let shouldUpload = false;
-            
-            if (!userLastModified && !localLastModified) {
-                // Первая синхронизация
-                shouldUpdate = true;
-            } else if (!userLastModified) {
-                // В глобальном хранилище нет данных
-                shouldUpload = true;
-            } else if (!localLastModified) {
-                // Локально нет данных
-                shouldUpdate = true;
-            } else {
-                // Сравниваем временные метки
-                const globalTime = new Date(userLastModified).getTime();
-                const localTime = new Date(localLastModified).getTime();
-                
-                if (globalTime > localTime) {
-                    // Глобальные данные новее
-                    shouldUpdate = true;
-                } else if (localTime > globalTime) {
-                    // Локальные данные новее
-                    shouldUpload = true;
-                }
-            }
+            const username = this.currentUser.username;
+            const now = new Date().toISOString();
+            const deviceId = this.generateDeviceId();
             
-            if (shouldUpdate) {
-                // Обновляем локальные данные
-                localStorage.setItem(`transactions_${this.currentUser.username}`, JSON.stringify(userTransactions));
-                if (userLastModified) {
-                    localStorage.setItem(`lastModified_${this.currentUser.username}`, userLastModified);
-                }
-                
-                // Перезагружаем транзакции
-                this.loadUserTransactions();
-                
-                this.showSyncNotification('Данные обновлены');
-            } else if (shouldUpload) {
-                // Загружаем локальные данные в глобальное хранилище
-                globalData.transactions[this.currentUser.username] = localTransactions;
-                
-                const now = new Date().toISOString();
-                if (globalData.users[this.currentUser.username]) {
-                    globalData.users[this.currentUser.username].lastModified = now;
-                }
+            // Что изменилось в этой вкладке относительно последней загрузки
+            const known = new Map(this.storedTransactions.map(t => [t.id, t]));
+            const changed = new Map();
+            // Пометки корзины ставятся только явным удалением, а не копией из списка вызывающего
+            upserts.forEach(({ deleted, deletedAt, ...t }) => {
+                const previous = known.get(t.id);
+                if (previous && !previous.deleted && this.getRecordContent(previous) === this.getRecordContent(t)) return;
                 
-                this.saveGlobalData(globalData);
-                localStorage.setItem(`lastModified_${this.currentUser.username}`, now);
+                changed.set(t.id, {
+                    ...t,
+                    rev: (previous?.rev || 0) + 1,
+                    updatedAt: t.updatedAt && (!previous || t.updatedAt > previous.updatedAt) ? t.updatedAt : now,
+                    deviceId
+                });
+            });
+            
+            const purged = new Set(purge);
+            new Set([...deletes, ...purge]).forEach(id => {
+                const previous = known.get(id);
+                if (!previous || changed.has(id)) return;
+                if (previous.deleted && !(purged.has(id) && previous.deletedAt)) return;
                 
-                this.showSyncNotification('Данные сохранены');
+                const tombstone = { id, deleted: true, rev: (previous.rev || 0) + 1, updatedAt: now, deviceId };
+                // В корзине запись хранится с содержимым, чтобы ее можно было восстановить
+                changed.set(id, purged.has(id) ? tombstone : { ...previous, ...tombstone, deletedAt: now });
+            });
+            
+            // Другая вкладка могла успеть изменить те же записи
+            const rows = new Map((await this.storage.getRecords('local', username)).map(row => [row.id, row]));
+            const base = {};
+            const current = [];
+            for (const id of changed.keys()) {
+                if (known.has(id)) base[id] = this.getRecordSignature(known.get(id));
+                const row = rows.get(id);
+                if (row && row.signature !== base[id]) current.push(await this.decryptData(row.payload));
             }
             
-            this.lastSyncTime = new Date();
-            this.updateSyncStatus();
+            const { merged, conflicts } = this.mergeRecords(base, [...changed.values()], current);
             
-        } catch (error) {
-            console.error('Error syncing with global storage:', error);
-            this.showError('Ошибка синхронизации');
+            // В хранилище остается чужая версия, пока пользователь не выберет
+            const conflictIds = new Set(conflicts.map(conflict => conflict.id));
+            const written = [...merged.values()].filter(record => !conflictIds.has(record.id) && record === changed.get(record.id));
+            // Состояние бюджетов до записи считаем по сохраненным операциям: в списке на экране
+            // новые регулярные платежи появляются раньше, чем записываются
+            const saved = [...known.values()].filter(t => !t.deleted);
+            const budgets = this.getAffectedBudgets(written)
+                .map(budget => ({ ...budget, before: this.getBudgetStatus(budget.category, budget.monthKey, saved) }));
+            
+            if (written.length > 0) {
+                await this.storage.writeRecords([{
+                    type: 'put',
+                    space: 'local',
+                    username,
+                    rows: await Promise.all(written.map(record => this.encryptRecord(record)))
+                }]);
+                this.storage.setItem(`lastModified_${username}`, now);
+            }
+            await this.loadVaultTransactions(written);
+            if (written.length > 0) this.notifyOtherTabs('data');
+            
+            // Предупреждаем о превышении бюджета при любой записи расходов: добавлении, правке, регулярных платежах
+            budgets.forEach(({ category, monthKey, before }) => {
+                if (before) this.checkBudgetThresholds(category, before, this.getBudgetStatus(category, monthKey));
+            });
+            
+            if (conflicts.length > 0) this.showConflictModal(conflicts);
+        });
+    }
+
+    // Получение пользовательской коллекции (правила, настройки и т.п.)
+    getUserCollection(name) {
+        if (!(name in this.collections)) {
+            this.collections[name] = JSON.parse(JSON.stringify(this.collectionDefaults[name]));
         }
+        return this.collections[name];
     }
 
-    // Экспорт данных
-    exportData() {
-        if (!this.currentUser) {
-            this.showError('Сначала войдите в систему');
+    // Выбор более новой записи коллекции
+    pickNewerRecord(localRecord, globalRecord) {
+        if (!localRecord) return globalRecord;
+        if (!globalRecord) return localRecord;
+        return new Date(globalRecord.updatedAt) > new Date(localRecord.updatedAt) ? globalRecord : localRecord;
+    }
+
+    // Загрузка коллекции пользователя из локального и глобального хранилищ
+    async loadUserCollection(name) {
+        if (!this.currentUser) return;
+        
+        const username = this.currentUser.username;
+        const localKey = `${name}_${username}`;
+        const localRecord = JSON.parse(this.storage.getItem(localKey) || 'null');
+        const globalData = this.getGlobalData();
+        const globalRecord = globalData[name]?.[username] || null;
+        const record = this.pickNewerRecord(localRecord, globalRecord);
+        
+        if (!record) {
+            delete this.collections[name];
+            this.collectionVersions[name] = null;
             return;
         }
         
-        try {
-            const globalData = this.getGlobalData();
-            const userData = {
-                user: globalData.users[this.currentUser.username],
-                transactions: globalData.transactions[this.currentUser.username] || [],
-                exportDate: new Date().toISOString(),
-                version: this.dataVersion
-            };
-            
-            const dataStr = JSON.stringify(userData, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = `finance_data_${this.currentUser.username}_${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
-            
-            this.showSuccess('Данные экспортированы');
-        } catch (error) {
-            console.error('Export error:', error);
-            this.showError('Ошибка экспорта данных');
+        // Выравниваем копии в обоих хранилищах
+        if (record !== localRecord) {
+            this.storage.setItem(localKey, JSON.stringify(record));
         }
+        if (record !== globalRecord) {
+            globalData[name] = globalData[name] || {};
+            globalData[name][username] = record;
+            this.saveGlobalData(globalData);
+            await this.queueRemote('putCollection', [username, name, record]);
+        }
+        
+        this.collections[name] = await this.decryptData(record.payload);
+        this.collectionVersions[name] = record.updatedAt;
     }
 
-    // Импорт данных
-    importData() {
-        if (!this.currentUser) {
-            this.showError('Сначала войдите в систему');
-            return;
+    // Загрузка всех коллекций пользователя
+    async loadUserCollections() {
+        this.collections = {};
+        this.collectionVersions = {};
+        for (const name of Object.keys(this.collectionDefaults)) {
+            await this.loadUserCollection(name);
         }
+    }
+
+    // Сохранение коллекции в зашифрованном виде
+    async saveUserCollection(name, data) {
+        if (!this.currentUser) return;
+        
+        const username = this.currentUser.username;
+        const record = {
+            updatedAt: new Date().toISOString(),
+            payload: await this.encryptData(data)
+        };
+        
+        this.storage.setItem(`${name}_${username}`, JSON.stringify(record));
+        
+        const globalData = this.getGlobalData();
+        globalData[name] = globalData[name] || {};
+        globalData[name][username] = record;
+        this.saveGlobalData(globalData);
+        await this.queueRemote('putCollection', [username, name, record]);
+        
+        this.collections[name] = data;
+        this.collectionVersions[name] = record.updatedAt;
+        this.notifyOtherTabs('data');
+    }
+
+    // Подтягивание коллекций, измененных в других вкладках
+    async syncUserCollections() {
+        const username = this.currentUser.username;
+        const globalData = this.getGlobalData();
+        let changed = false;
+        
+        for (const name of Object.keys(this.collectionDefaults)) {
+            const globalRecord = globalData[name]?.[username];
+            if (globalRecord && globalRecord.updatedAt !== this.collectionVersions[name]) {
+                await this.loadUserCollection(name);
+                changed = true;
+            }
+        }
+        
+        return changed;
+    }
+
+    // Перешифровка коллекций новым ключом
+    async reencryptUserCollections(globalData, username, vaultKey) {
+        const records = {};
+        for (const name of Object.keys(this.collectionDefaults)) {
+            if (!(name in this.collections)) continue;
+            
+            records[name] = {
+                updatedAt: new Date().toISOString(),
+                payload: await this.encryptData(this.collections[name], vaultKey)
+            };
+            globalData[name] = globalData[name] || {};
+            globalData[name][username] = records[name];
+        }
+        return records;
+    }
+
+    // Блокировка хранилища при невозможности расшифровать данные
+    async lockVault(message) {
+        this.vaultKey = null;
+        await this.logout();
+        this.showError(message);
+    }
+
+    // Генерация случайного токена
+    generateToken(size = 32) {
+        const bytes = new Uint8Array(size);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Хеш токена сессии (в реестре хранится только хеш)
+    async hashToken(token) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+        return this.bufferToBase64(digest);
+    }
+
+    // Чтение данных сессии из localStorage
+    getStoredAuth() {
+        try {
+            return JSON.parse(this.storage.getItem('financeAuth') || 'null');
+        } catch (e) {
+            console.error('Invalid auth data:', e);
+            this.storage.removeItem('financeAuth');
+            return null;
+        }
+    }
+
+    // Проверка сессии по реестру глобального хранилища
+    async validateSession(authData) {
+        if (!authData || !authData.sessionId || !authData.token || !authData.user) return null;
+        
+        const session = this.getGlobalData().sessions?.[authData.sessionId];
+        if (!session || session.revokedAt) return null;
+        if (session.username !== authData.user.username) return null;
+        if (session.deviceId !== this.generateDeviceId()) return null;
+        if (new Date(session.expiresAt).getTime() <= Date.now()) return null;
+        
+        const tokenHash = await this.hashToken(authData.token);
+        return this.safeEqual(tokenHash, session.tokenHash) ? session : null;
+    }
+
+    // Проверка бездействия пользователя
+    isSessionIdle(session) {
+        const lastActivity = Math.max(new Date(session.lastActivity).getTime(), this.lastActivity);
+        return Date.now() - lastActivity > this.idleTimeout;
+    }
+
+    // Создание сессии или продление действующей на этом устройстве
+    async startSession(username) {
+        const storedAuth = this.getStoredAuth();
+        const existingSession = await this.validateSession(storedAuth);
+        
+        if (existingSession && existingSession.username === username && !this.isSessionIdle(existingSession)) {
+            this.sessionId = existingSession.id;
+            this.storage.setItem('financeAuth', JSON.stringify({ ...storedAuth, user: this.currentUser }));
+            this.touchSession(true);
+            return;
+        }
+        
+        if (storedAuth?.sessionId) {
+            this.revokeSession(storedAuth.sessionId);
+        }
+        
+        const token = this.generateToken();
+        const tokenHash = await this.hashToken(token);
+        const now = new Date();
+        const session = {
+            id: 'session_' + this.generateToken(8),
+            username,
+            tokenHash,
+            deviceId: this.generateDeviceId(),
+            issuedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.sessionTTL).toISOString(),
+            lastActivity: now.toISOString(),
+            revokedAt: null
+        };
+        
+        const globalData = this.getGlobalData();
+        globalData.sessions = this.pruneSessions(globalData.sessions || {});
+        globalData.sessions[session.id] = session;
+        this.saveGlobalData(globalData);
+        
+        this.sessionId = session.id;
+        this.lastActivity = now.getTime();
+        this.lastSessionTouch = now.getTime();
+        this.storage.setItem('financeAuth', JSON.stringify({ user: this.currentUser, sessionId: session.id, token }));
+    }
+
+    // Удаление истекших и давно отозванных сессий
+    pruneSessions(sessions) {
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(sessions).filter(([, session]) => {
+            const expiresAt = new Date(session.expiresAt).getTime();
+            return expiresAt > now;
+        }));
+    }
+
+    // Отметка активности в реестре сессий
+    touchSession(force = false) {
+        if (!this.sessionId) return;
+        
+        const now = Date.now();
+        if (!force && now - this.lastSessionTouch < 30000) return;
+        
+        const globalData = this.getGlobalData();
+        const session = globalData.sessions?.[this.sessionId];
+        if (!session || session.revokedAt) return;
+        
+        session.lastActivity = new Date(Math.max(now, this.lastActivity)).toISOString();
+        this.saveGlobalData(globalData);
+        this.lastSessionTouch = now;
+    }
+
+    // Регистрация активности пользователя
+    recordActivity() {
+        this.lastActivity = Date.now();
+        if (this.currentUser) {
+            this.touchSession();
+        }
+    }
+
+    // Отзыв сессии
+    revokeSession(sessionId) {
+        const globalData = this.getGlobalData();
+        const session = globalData.sessions?.[sessionId];
+        if (session && !session.revokedAt) {
+            session.revokedAt = new Date().toISOString();
+            this.saveGlobalData(globalData);
+        }
+    }
+
+    // Отзыв всех сессий пользователя
+    revokeAllSessions(username) {
+        const globalData = this.getGlobalData();
+        const now = new Date().toISOString();
+        Object.values(globalData.sessions || {}).forEach(session => {
+            if (session.username === username && !session.revokedAt) {
+                session.revokedAt = now;
+            }
+        });
+        this.saveGlobalData(globalData);
+    }
+
+    // Проверка действительности текущей сессии
+    async checkSession() {
+        if (!this.currentUser) return false;
+        
+        const session = await this.validateSession(this.getStoredAuth());
+        if (!session || session.id !== this.sessionId) {
+            await this.logout();
+            this.showError('Сессия завершена. Войдите снова.');
+            return false;
+        }
+        
+        if (this.isSessionIdle(session)) {
+            await this.logout();
+            this.showError('Сессия завершена из-за бездействия');
+            return false;
+        }
+        
+        return true;
+    }
+
+    // Выход на всех устройствах
+    async signOutAllDevices() {
+        if (!this.currentUser) return;
+        
+        // Сессии отзываются до выхода, чтобы вкладки получили оповещение
+        await this.disconnectRemote(this.currentUser.username, true);
+        this.revokeAllSessions(this.currentUser.username);
+        await this.logout();
+        this.showSuccess('Вы вышли на всех устройствах');
+    }
+
+    // Проверка статуса аутентификации
+    async checkAuthStatus() {
+        console.log('Checking auth status...');
+        const authData = this.getStoredAuth();
+        if (authData) {
+            const session = await this.validateSession(authData);
+            if (session && !this.isSessionIdle(session)) {
+                // Ключ шифрования хранится только в памяти, поэтому запрашиваем пароль
+                console.log('Session found, vault locked:', session.username);
+                this.showAuth();
+                const usernameInput = document.getElementById('loginUsername');
+                if (usernameInput) usernameInput.value = session.username;
+                this.showSuccess('Введите пароль, чтобы расшифровать данные');
+                return;
+            }
+            
+            console.log('Session is invalid or expired');
+            this.storage.removeItem('financeAuth');
+        }
+        this.showAuth();
+    }
+
+    // Настройка обработчиков событий
+    setupEventListeners() {
+        // Кнопки, формы и поля разметки вызывают методы через data-атрибуты
+        this.setupActions();
+        
+        // Кнопка выхода
+        const logoutBtn = document.getElementById('logoutBtn');
+        if (logoutBtn) logoutBtn.onclick = () => this.logout();
+        
+        // Кнопки синхронизации
+        const exportBtn = document.getElementById('exportBtn');
+        const importBtn = document.getElementById('importBtn');
+        const syncBtn = document.getElementById('syncBtn');
+        
+        if (exportBtn) exportBtn.onclick = () => this.exportData();
+        if (importBtn) importBtn.onclick = () => this.importData();
+        if (syncBtn) syncBtn.onclick = () => this.syncWithGlobal();
+        
+        // Модальное окно удаления
+        const modalCancel = document.getElementById('modalCancel');
+        const modalConfirm = document.getElementById('modalConfirm');
+        
+        if (modalCancel) modalCancel.onclick = () => this.closeDeleteModal();
+        if (modalConfirm) modalConfirm.onclick = () => this.confirmDelete();
+        
+        // Виртуальный список дорисовывает строки при прокрутке, не чаще раза за кадр
+        const transactionsList = document.getElementById('transactionsList');
+        const scheduleRows = () => {
+            if (this.listScrollFrame) return;
+            this.listScrollFrame = requestAnimationFrame(() => {
+                this.listScrollFrame = null;
+                this.renderVisibleRows();
+            });
+        };
+        if (transactionsList) transactionsList.addEventListener('scroll', scheduleRows, { passive: true });
+        window.addEventListener('resize', scheduleRows);
+        
+        // Отслеживание активности для автоматического выхода
+        ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.recordActivity(), { passive: true });
+        });
+    }
+
+    // Делегированные обработчики вместо встроенных onclick, чтобы работала строгая Content-Security-Policy.
+    // data-action (клик), data-submit (отправка формы), data-change и data-input (поля) содержат имя метода;
+    // аргументы — JSON-массив в data-args или свойство элемента из data-pass (value, checked);
+    // data-close на затемнении окна — метод закрытия при клике мимо окна
+    setupActions() {
+        const run = (element, attribute, ...leading) => {
+            const name = element.getAttribute(attribute);
+            if (name === 'constructor' || typeof FinanceAuth.prototype[name] !== 'function') {
+                console.error('Unknown action:', name);
+                return;
+            }
+            // Значение элемента (data-pass) передается после аргументов из data-args
+            const args = element.dataset.args ? JSON.parse(element.dataset.args) : [];
+            if (element.dataset.pass) args.push(element[element.dataset.pass]);
+            return this[name](...leading, ...args);
+        };
+        
+        document.addEventListener('click', (event) => {
+            if (event.target.matches('.modal-overlay[data-close]')) {
+                run(event.target, 'data-close');
+                return;
+            }
+            const element = event.target.closest('[data-action]');
+            if (element && !element.disabled) run(element, 'data-action');
+        });
+        
+        document.addEventListener('submit', (event) => {
+            const form = event.target.closest('[data-submit]');
+            if (!form) return;
+            event.preventDefault();
+            run(form, 'data-submit', event);
+        });
+        
+        ['change', 'input'].forEach(type => {
+            document.addEventListener(type, (event) => {
+                const element = event.target.closest(`[data-${type}]`);
+                if (element) run(element, `data-${type}`);
+            });
+        });
+    }
+
+    // Запуск автоматической синхронизации
+    startAutoSync() {
+        this.stopAutoSync();
+        
+        const syncIfValid = async () => {
+            if (this.currentUser && await this.checkSession()) {
+                this.syncWithGlobal();
+            }
+        };
+        
+        // Изменения из других вкладок приходят сообщением, без опроса хранилища
+        const onMessage = (message) => {
+            if (!this.currentUser || !message || message.username !== this.currentUser.username) return;
+            this.scheduleTabSync(message.type);
+        };
+        
+        this.syncListeners = {
+            focus: syncIfValid,
+            visibilitychange: () => {
+                if (!document.hidden) syncIfValid();
+            },
+            online: syncIfValid,
+            offline: () => {
+                if (this.getRemoteUrl()) this.setRemoteState('offline');
+            },
+            storage: (event) => {
+                if (event.key !== this.syncMessageKey || !event.newValue) return;
+                try {
+                    onMessage(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.error('Invalid sync message:', error);
+                }
+            }
+        };
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel('finance_tracker_sync');
+            this.syncChannel.onmessage = (event) => onMessage(event.data);
+        } else {
+            // Запасной канал для браузеров без BroadcastChannel
+            window.addEventListener('storage', this.syncListeners.storage);
+        }
+        
+        window.addEventListener('focus', this.syncListeners.focus);
+        document.addEventListener('visibilitychange', this.syncListeners.visibilitychange);
+        window.addEventListener('online', this.syncListeners.online);
+        window.addEventListener('offline', this.syncListeners.offline);
+        
+        // Изменения других устройств приходят только с сервера — опрашиваем его, пока вкладка видна
+        if (this.getRemoteUrl()) {
+            this.remoteTimer = setInterval(() => {
+                if (!document.hidden) syncIfValid();
+            }, this.remotePollInterval);
+        }
+        
+        this.scheduleSessionCheck();
+    }
+
+    // Остановка автоматической синхронизации
+    stopAutoSync() {
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.syncChannel = null;
+        }
+        
+        if (this.syncListeners) {
+            window.removeEventListener('storage', this.syncListeners.storage);
+            window.removeEventListener('focus', this.syncListeners.focus);
+            document.removeEventListener('visibilitychange', this.syncListeners.visibilitychange);
+            window.removeEventListener('online', this.syncListeners.online);
+            window.removeEventListener('offline', this.syncListeners.offline);
+            this.syncListeners = null;
+        }
+        
+        clearTimeout(this.tabSyncTimer);
+        clearTimeout(this.sessionTimer);
+        clearInterval(this.remoteTimer);
+        this.tabSyncTimer = null;
+        this.sessionTimer = null;
+        this.remoteTimer = null;
+        this.pendingTabSync = null;
+    }
+
+    // Оповещение других вкладок об изменении данных или сессии
+    notifyOtherTabs(type) {
+        if (!this.currentUser) return;
+        
+        const message = { type, username: this.currentUser.username, at: Date.now() };
+        if (this.syncChannel) {
+            this.syncChannel.postMessage(message);
+        } else if (this.syncListeners) {
+            this.storage.setItem(this.syncMessageKey, JSON.stringify(message));
+        }
+    }
+
+    // Обработка оповещений пачкой: несколько записей подряд дают одну синхронизацию
+    scheduleTabSync(type) {
+        this.pendingTabSync = this.pendingTabSync === 'data' ? 'data' : type;
+        clearTimeout(this.tabSyncTimer);
+        
+        this.tabSyncTimer = setTimeout(async () => {
+            const pending = this.pendingTabSync;
+            this.pendingTabSync = null;
+            this.tabSyncTimer = null;
+            
+            if (!this.currentUser || !await this.checkSession()) return;
+            if (pending === 'data') {
+                this.syncWithGlobal();
+            }
+        }, 100);
+    }
+
+    // Проверка сессии к моменту истечения бездействия или срока действия
+    scheduleSessionCheck() {
+        clearTimeout(this.sessionTimer);
+        if (!this.currentUser) return;
+        
+        const session = this.getGlobalData().sessions?.[this.sessionId];
+        const lastActivity = Math.max(session ? new Date(session.lastActivity).getTime() : 0, this.lastActivity);
+        const deadline = Math.min(
+            lastActivity + this.idleTimeout,
+            session ? new Date(session.expiresAt).getTime() : Infinity
+        );
+        const delay = Math.min(Math.max(deadline - Date.now(), 0) + 1000, 24 * 60 * 60 * 1000);
+        
+        this.sessionTimer = setTimeout(async () => {
+            if (await this.checkSession()) {
+                this.scheduleSessionCheck();
+            }
+        }, delay);
+    }
+
+    // Синхронизация с глобальным хранилищем
+    async syncWithGlobal() {
+        if (!this.currentUser || !this.vaultKey) return;
+        
+        try {
+            console.log('Syncing with global storage for user:', this.currentUser.username);
+            
+            // Сначала отправляем очередь и забираем изменения других устройств
+            await this.exchangeWithRemote(true);
+            await this.purgeExpiredTrash();
+            
+            const before = this.getTransactionsFingerprint();
+            const { localChanged, remoteChanged } = await this.runExclusive(() => this.mergeWithGlobal());
+            
+            // Изменились только метки удаления или служебные записи — интерфейс не перерисовываем
+            if (localChanged && this.getTransactionsFingerprint() !== before) {
+                this.loadUserTransactions();
+                this.showSyncNotification('Данные обновлены');
+            } else if (remoteChanged) {
+                this.showSyncNotification('Данные сохранены');
+            }
+            
+            // Подтягиваем правила и настройки из других вкладок
+            if (await this.syncUserCollections()) {
+                this.updateCategories();
+                this.loadUserTransactions();
+            }
+            
+            // Результат слияния уходит на сервер
+            await this.exchangeWithRemote(false);
+            
+            this.lastSyncTime = new Date();
+            this.updateSyncStatus();
+            
+        } catch (error) {
+            console.error('Error syncing with global storage:', error);
+            if (error.name === 'OperationError') {
+                // Данные зашифрованы другим ключом (пароль сменили в другой вкладке)
+                this.lockVault('Не удалось расшифровать данные. Войдите снова.');
+                return;
+            }
+            this.showError('Ошибка синхронизации');
+        }
+    }
+
+    // Трехстороннее слияние локальных транзакций с глобальным хранилищем
+    async mergeWithGlobal() {
+        this.assertVaultKeyFresh();
+        
+        const username = this.currentUser.username;
+        const [localRows, remoteRows, baseRows] = await Promise.all(
+            ['local', 'global', 'base'].map(space => this.storage.getRecords(space, username))
+        );
+        const local = new Map(localRows.map(row => [row.id, row]));
+        const remote = new Map(remoteRows.map(row => [row.id, row]));
+        const base = Object.fromEntries(baseRows.map(row => [row.id, row.signature]));
+        const expired = Date.now() - this.tombstoneTTL;
+        const localPuts = [];
+        const remotePuts = [];
+        const basePuts = [];
+        const pruned = [];
+        
+        // Одинаковые версии расшифровывать и сливать не нужно
+        const differing = [];
+        new Set([...local.keys(), ...remote.keys()]).forEach(id => {
+            const signature = local.get(id)?.signature;
+            if (signature === undefined || signature !== remote.get(id)?.signature) {
+                differing.push(id);
+            } else if (this.isExpiredTombstone(signature, expired) && base[id] === signature) {
+                // Метки удаления, известные обеим сторонам, хранятся ограниченное время
+                pruned.push(id);
+            } else if (base[id] !== signature) {
+                basePuts.push(this.createBaseRow(id, signature));
+            }
+        });
+        
+        let conflicts = [];
+        if (differing.length > 0) {
+            const decrypt = (rows) => Promise.all(differing.filter(id => rows.has(id)).map(id => this.decryptData(rows.get(id).payload)));
+            const result = this.mergeRecords(base, await decrypt(local), await decrypt(remote));
+            const conflictIds = new Set(result.conflicts.map(conflict => conflict.id));
+            conflicts = result.conflicts;
+            
+            result.merged.forEach((record, id) => {
+                // Пока конфликт не решен, в глобальном хранилище остается чужая версия
+                if (conflictIds.has(id)) return;
+                
+                const signature = this.getRecordSignature(record);
+                if (this.isExpiredTombstone(signature, expired) && base[id] === signature) {
+                    pruned.push(id);
+                    return;
+                }
+                
+                // Выбранная версия уже зашифрована в одной из копий
+                const row = local.get(id)?.signature === signature ? local.get(id) : remote.get(id);
+                if (local.get(id)?.signature !== signature) localPuts.push(row);
+                if (remote.get(id)?.signature !== signature) remotePuts.push(row);
+                if (base[id] !== signature) basePuts.push(this.createBaseRow(id, signature));
+            });
+        }
+        
+        const remoteChanged = remotePuts.length > 0;
+        if (localPuts.length > 0 || remotePuts.length > 0 || basePuts.length > 0 || pruned.length > 0) {
+            await this.storage.writeRecords([
+                { type: 'put', space: 'local', username, rows: localPuts },
+                { type: 'put', space: 'global', username, rows: remotePuts },
+                { type: 'put', space: 'base', username, rows: basePuts },
+                ...['local', 'global', 'base'].map(space => ({ type: 'delete', space, username, ids: pruned })),
+                // Очередь на сервер пишется вместе с глобальной копией
+                ...(remoteChanged && this.getRemoteUrl()
+                    ? [{ type: 'put', space: 'outbox', username, rows: [this.createOutboxEntry('putTransactions', [username, remotePuts])] }]
+                    : [])
+            ]);
+            
+            const now = new Date().toISOString();
+            if (localPuts.length > 0) this.storage.setItem(`lastModified_${username}`, now);
+            if (remoteChanged) {
+                const globalData = this.getGlobalData();
+                if (globalData.users[username]) globalData.users[username].lastModified = now;
+                this.saveGlobalData(globalData);
+            }
+            if (localPuts.length > 0 || remoteChanged || pruned.length > 0) this.notifyOtherTabs('data');
+        }
+        
+        // Удаленные метки не видны в интерфейсе — убираем их из памяти без перезагрузки
+        if (pruned.length > 0) {
+            const removed = new Set(pruned);
+            this.setStoredTransactions(this.storedTransactions.filter(t => !removed.has(t.id)));
+        }
+        localPuts.forEach(row => local.set(row.id, row));
+        pruned.forEach(id => local.delete(id));
+        
+        // Другая вкладка могла записать локальные данные после нашей загрузки
+        let localChanged = localPuts.length > 0;
+        if (!this.isMemoryFresh([...local.values()])) {
+            await this.loadVaultTransactions();
+            localChanged = true;
+        }
+        
+        if (conflicts.length > 0) this.showConflictModal(conflicts);
+        
+        return { localChanged, remoteChanged };
+    }
+
+    // Адрес сервера синхронизации (пустая строка — только локальное хранилище)
+    getRemoteUrl() {
+        try {
+            return JSON.parse(this.storage.getItem(this.remoteConfigKey) || 'null')?.url || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // Клиент сервера с токеном сессии пользователя
+    getRemoteClient(username = this.currentUser?.username) {
+        const url = this.getRemoteUrl();
+        if (!url) return null;
+        
+        let session = null;
+        try {
+            session = JSON.parse(this.storage.getItem(`remoteSession_${username}`) || 'null');
+        } catch (error) {
+            session = null;
+        }
+        const valid = session && new Date(session.expiresAt).getTime() > Date.now();
+        return new RemoteClient(url, valid ? session.token : null);
+    }
+
+    // Запись очереди отправки; id задает порядок повтора
+    createOutboxEntry(action, args) {
+        this.outboxSeq += 1;
+        return {
+            id: `${String(Date.now()).padStart(15, '0')}_${String(this.outboxSeq).padStart(6, '0')}`,
+            date: '',
+            signature: action,
+            payload: { action, args }
+        };
+    }
+
+    // Постановка изменения в очередь отправки на сервер
+    async queueRemote(action, args) {
+        if (!this.currentUser || !this.getRemoteUrl()) return;
+        await this.storage.writeRecords([{
+            type: 'put',
+            space: 'outbox',
+            username: this.currentUser.username,
+            rows: [this.createOutboxEntry(action, args)]
+        }]);
+    }
+
+    // Состояние связи с сервером для индикатора
+    setRemoteState(status, details = {}) {
+        this.remoteState = { ...this.remoteState, error: '', ...details, status };
+        this.updateSyncStatus();
+    }
+
+    // Обмен с сервером: очередь отправляется по порядку, затем загружаются чужие изменения
+    exchangeWithRemote(pull) {
+        const task = async () => {
+            if (!this.currentUser) return;
+            
+            const username = this.currentUser.username;
+            const client = this.getRemoteClient(username);
+            if (!client) {
+                this.setRemoteState('off', { pending: 0 });
+                return;
+            }
+            
+            const outbox = async () => (await this.storage.getRecords('outbox', username)).sort((a, b) => a.id.localeCompare(b.id));
+            if (!client.token) {
+                this.setRemoteState('auth', { pending: (await outbox()).length });
+                return;
+            }
+            
+            try {
+                const entries = await outbox();
+                if (entries.length > 0) this.setRemoteState('sending', { pending: entries.length });
+                
+                for (const entry of entries) {
+                    const { action, args } = entry.payload;
+                    try {
+                        if (!['putTransactions', 'putCollection'].includes(action)) throw new RemoteError(`Неизвестное действие ${action}`, 400);
+                        await client[action](...args);
+                    } catch (error) {
+                        // Отклоненные сервером данные повторять бессмысленно
+                        if (!(error instanceof RemoteError) || ![400, 404, 409, 413, 422].includes(error.status)) throw error;
+                        console.error('Outbox entry rejected by server:', entry.id, error);
+                    }
+                    await this.storage.writeRecords([{ type: 'delete', space: 'outbox', username, ids: [entry.id] }]);
+                }
+                
+                if (pull) await this.pullRemote(client, username);
+                this.setRemoteState('synced', { pending: 0, syncedAt: new Date() });
+            } catch (error) {
+                const pending = (await outbox()).length;
+                if (error instanceof TypeError) {
+                    this.setRemoteState('offline', { pending });
+                } else if (error.status === 401) {
+                    this.storage.removeItem(`remoteSession_${username}`);
+                    this.setRemoteState('auth', { pending });
+                } else {
+                    console.error('Remote sync error:', error);
+                    this.setRemoteState('error', { pending, error: error.message });
+                }
+            }
+        };
+        
+        const run = this.remoteLock.then(task, task);
+        this.remoteLock = run.catch(() => {});
+        return run;
+    }
+
+    // Загрузка изменений с сервера в глобальную копию
+    async pullRemote(client, username) {
+        const cursorKey = `remoteCursor_${username}`;
+        const { rows, cursor } = await client.getTransactions(username, this.storage.getItem(cursorKey) || '0');
+        if (rows.length > 0) {
+            await this.storage.writeRecords([{ type: 'put', space: 'global', username, rows }]);
+        }
+        this.storage.setItem(cursorKey, String(cursor));
+        
+        const collections = await client.getCollections(username);
+        const globalData = this.getGlobalData();
+        let changed = false;
+        Object.entries(collections).forEach(([name, record]) => {
+            if (!(name in this.collectionDefaults)) return;
+            const current = globalData[name]?.[username] || null;
+            if (this.pickNewerRecord(current, record) !== current) {
+                globalData[name] = globalData[name] || {};
+                globalData[name][username] = record;
+                changed = true;
+            }
+        });
+        if (changed) this.saveGlobalData(globalData);
+    }
+
+    // Перешифровка очереди отправки: записи и коллекции в ней зашифрованы прежним ключом
+    reencryptOutbox(entries, vaultKey, previousKey = this.vaultKey) {
+        const reencrypt = async (envelope) => this.encryptData(await this.decryptData(envelope, previousKey), vaultKey);
+        return Promise.all(entries.map(async entry => {
+            const { action, args: [username, ...args] } = entry.payload;
+            if (action === 'putTransactions') {
+                const rows = await Promise.all(args[0].map(async row => ({ ...row, payload: await reencrypt(row.payload) })));
+                return { ...entry, payload: { action, args: [username, rows] } };
+            }
+            if (action === 'putCollection') {
+                const [name, record] = args;
+                return { ...entry, payload: { action, args: [username, name, { ...record, payload: await reencrypt(record.payload) }] } };
+            }
+            return entry;
+        }));
+    }
+
+    // Изменения устройства, которых еще нет на сервере: не слитые с глобальной копией записи и очередь отправки
+    async getPendingChanges(username) {
+        const [localRows, baseRows, outbox] = await Promise.all(
+            ['local', 'base', 'outbox'].map(space => this.storage.getRecords(space, username))
+        );
+        const base = new Map(baseRows.map(row => [row.id, row]));
+        const rows = localRows.filter(row => base.get(row.id)?.signature !== row.signature);
+        return {
+            rows,
+            base: rows.map(row => base.get(row.id)).filter(Boolean),
+            outbox,
+            count: rows.length + outbox.length
+        };
+    }
+
+    // Перенос неотправленных изменений под новый ключ после смены пароля на другом устройстве.
+    // Версии слияния сохраняются, чтобы изменения устройства не считались конфликтом
+    async carryPendingChanges(username, pending, vaultKey, previousKey) {
+        const rows = await Promise.all(pending.rows.map(async row => ({
+            ...row,
+            payload: await this.encryptData(await this.decryptData(row.payload, previousKey), vaultKey)
+        })));
+        // Смена пароля обновила даты коллекций на сервере — перенесенные версии должны оказаться новее
+        const now = new Date().toISOString();
+        const outbox = (await this.reencryptOutbox(pending.outbox, vaultKey, previousKey)).map(entry => {
+            const { action, args } = entry.payload;
+            if (action !== 'putCollection') return entry;
+            return { ...entry, payload: { action, args: [args[0], args[1], { ...args[2], updatedAt: now }] } };
+        });
+        await this.storage.writeRecords([
+            { type: 'put', space: 'local', username, rows },
+            { type: 'put', space: 'base', username, rows: pending.base },
+            { type: 'put', space: 'outbox', username, rows: outbox }
+        ]);
+    }
+
+    // Сброс глобальной копии: следующая синхронизация сравнит данные с сервером заново
+    async resetRemoteMirror(username, dropLocal = false) {
+        const spaces = dropLocal ? ['local', 'global', 'base', 'outbox'] : ['global', 'base', 'outbox'];
+        await this.storage.writeRecords(spaces.map(space => ({ type: 'clear', space, username })));
+        this.storage.removeItem(`remoteCursor_${username}`);
+        
+        if (dropLocal) {
+            // Коллекции тоже зашифрованы прежним ключом
+            const globalData = this.getGlobalData();
+            Object.keys(this.collectionDefaults).forEach(name => {
+                this.storage.removeItem(`${name}_${username}`);
+                if (globalData[name]) delete globalData[name][username];
+            });
+            this.saveGlobalData(globalData);
+        }
+    }
+
+    // Вход на сервер синхронизации: 'ok', 'denied', 'mismatch' (другой ключ шифрования)
+    // или 'pending' (ключ сменился, а на устройстве есть неотправленные изменения)
+    async connectRemote(username, password, { allowKeyChange = false, previousPassword } = {}) {
+        const client = this.getRemoteClient(username);
+        let params = null;
+        try {
+            params = await client.getUserParams(username);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+        
+        if (!params) {
+            // Пользователя еще нет на сервере — переносим локальную учетную запись с тем же ключом
+            const localData = this.getGlobalData();
+            const localUser = localData.users[username];
+            if (!localUser || !await this.verifyPassword(localUser, password)) return 'denied';
+            if (!localUser.vaultSalt) {
+                Object.assign(localUser, this.createVaultRecord());
+                this.saveGlobalData(localData);
+            }
+            
+            const auth = await this.createRemoteUser(client, localUser, password);
+            params = { ...auth, vaultSalt: localUser.vaultSalt, vaultIterations: localUser.vaultIterations };
+        }
+        
+        const localUser = this.getGlobalData().users[username];
+        // Данные устройства зашифрованы другим ключом
+        const keyChanged = !!localUser?.vaultSalt && localUser.vaultSalt !== params.vaultSalt;
+        if (keyChanged && !allowKeyChange) return 'mismatch';
+        
+        let session;
+        try {
+            const authHash = params.authHash || await this.hashPassword(password, params.authSalt, params.authIterations);
+            session = await client.createSession(username, authHash, this.generateDeviceId());
+        } catch (error) {
+            if (error.status === 401) return 'denied';
+            throw error;
+        }
+        this.saveRemoteSession(username, session);
+        
+        // Неотправленные изменения расшифровываются только прежним паролем; пустой пароль — отказ от них
+        let pending = null;
+        let previousKey = null;
+        if (keyChanged) {
+            pending = await this.getPendingChanges(username);
+            if (pending.count > 0 && previousPassword === undefined) return 'pending';
+            if (pending.count > 0 && previousPassword) {
+                if (!await this.verifyPassword(localUser, previousPassword)) return 'pending';
+                previousKey = await this.deriveVaultKey(previousPassword, localUser.vaultSalt, localUser.vaultIterations);
+            }
+        }
+        
+        // Новое устройство или пароль сменили на другом: учетная запись берется с сервера
+        if (!localUser || localUser.vaultSalt !== params.vaultSalt) {
+            // Локальные копии зашифрованы прежним ключом и не расшифруются новым
+            if (keyChanged) await this.resetRemoteMirror(username, true);
+            if (previousKey) {
+                const vaultKey = await this.deriveVaultKey(password, session.user.vaultSalt, session.user.vaultIterations);
+                await this.carryPendingChanges(username, pending, vaultKey, previousKey);
+            }
+            
+            const globalData = this.getGlobalData();
+            const now = new Date().toISOString();
+            globalData.users[username] = {
+                ...globalData.users[username],
+                username,
+                email: session.user.email,
+                createdAt: session.user.createdAt,
+                ...await this.createPasswordRecord(password),
+                vaultSalt: session.user.vaultSalt,
+                vaultIterations: session.user.vaultIterations,
+                lastModified: now,
+                deviceId: this.generateDeviceId()
+            };
+            delete globalData.users[username].password;
+            this.saveGlobalData(globalData);
+        }
+        return 'ok';
+    }
+
+    // Учетная запись на сервере с тем же ключом шифрования, что и на устройстве
+    async createRemoteUser(client, user, password) {
+        const authSalt = this.generateSalt();
+        const authIterations = this.passwordIterations;
+        const authHash = await this.hashPassword(password, authSalt, authIterations);
+        
+        await client.createUser({
+            username: user.username,
+            email: user.email,
+            createdAt: user.createdAt,
+            authSalt,
+            authIterations,
+            authHash,
+            vaultSalt: user.vaultSalt,
+            vaultIterations: user.vaultIterations
+        });
+        return { authSalt, authIterations, authHash };
+    }
+
+    // Токен сессии сервера хранится отдельно от сессии приложения
+    saveRemoteSession(username, session) {
+        this.storage.setItem(`remoteSession_${username}`, JSON.stringify({ token: session.token, expiresAt: session.expiresAt }));
+    }
+
+    // Вход на сервер вместе со входом в приложение; без подключения — по локальной учетной записи
+    async loginRemote(username, password, previousPassword) {
+        if (!this.getRemoteUrl()) return 'off';
+        
+        try {
+            return await this.connectRemote(username, password, { allowKeyChange: true, previousPassword });
+        } catch (error) {
+            console.warn('Sync server unavailable, signing in offline:', error);
+            return 'offline';
+        }
+    }
+
+    // Регистрация на сервере; возвращает текст ошибки или null
+    async registerRemote(user, password) {
+        const client = this.getRemoteClient(user.username);
+        
+        try {
+            const { authHash } = await this.createRemoteUser(client, user, password);
+            this.saveRemoteSession(user.username, await client.createSession(user.username, authHash, this.generateDeviceId()));
+            return null;
+        } catch (error) {
+            console.error('Remote registration error:', error);
+            if (error.status === 409) return 'Пользователь с таким логином уже существует';
+            if (error instanceof TypeError) return 'Сервер синхронизации недоступен. Регистрация возможна только при подключении';
+            return `Ошибка сервера: ${error.message}`;
+        }
+    }
+
+    // Завершение сессии на сервере (без подключения сессия истечет сама)
+    async disconnectRemote(username, allDevices = false) {
+        const client = this.getRemoteClient(username);
+        if (!client || !client.token) return;
+        
+        try {
+            await (allDevices ? client.deleteAllSessions() : client.deleteSession());
+        } catch (error) {
+            console.warn('Cannot end server session:', error);
+        }
+        this.storage.removeItem(`remoteSession_${username}`);
+    }
+
+    // Показать окно сервера синхронизации
+    showRemoteModal() {
+        const form = document.getElementById('remoteForm');
+        if (form) form.reset();
+        
+        const urlInput = document.getElementById('remoteUrl');
+        if (urlInput) urlInput.value = this.getRemoteUrl();
+        
+        // Пароль нужен только для подключения уже открытого аккаунта
+        const passwordGroup = document.getElementById('remotePasswordGroup');
+        if (passwordGroup) passwordGroup.style.display = this.currentUser ? '' : 'none';
+        
+        const stateEl = document.getElementById('remoteState');
+        if (stateEl) stateEl.textContent = this.describeRemoteState();
+        
+        const errorEl = document.getElementById('remoteError');
+        if (errorEl) errorEl.classList.remove('show');
+        
+        const modal = document.getElementById('remoteModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно сервера синхронизации
+    closeRemoteModal() {
+        const modal = document.getElementById('remoteModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Показать ошибку в окне сервера синхронизации
+    showRemoteError(message) {
+        const errorEl = document.getElementById('remoteError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
+        }
+    }
+
+    // Проверка доступности сервера
+    async checkRemoteServer() {
+        const url = document.getElementById('remoteUrl')?.value.trim() || '';
+        const stateEl = document.getElementById('remoteState');
+        if (!/^https?:\/\//i.test(url)) {
+            this.showRemoteError('Адрес должен начинаться с http:// или https://');
+            return;
+        }
+        
+        try {
+            await new RemoteClient(url).health();
+            if (stateEl) stateEl.textContent = '🟢 Сервер доступен';
+        } catch (error) {
+            if (stateEl) stateEl.textContent = error instanceof TypeError ? '🔴 Сервер недоступен' : `🔴 ${error.message}`;
+        }
+    }
+
+    // Сохранение адреса сервера и подключение аккаунта
+    async handleSaveRemote(event) {
+        event.preventDefault();
+        
+        const url = document.getElementById('remoteUrl')?.value.trim() || '';
+        const password = document.getElementById('remotePassword')?.value || '';
+        const previousUrl = this.getRemoteUrl();
+        
+        if (url && !/^https?:\/\//i.test(url)) {
+            this.showRemoteError('Адрес должен начинаться с http:// или https://');
+            return;
+        }
+        
+        // До входа достаточно запомнить адрес — подключение произойдет при входе
+        if (!this.currentUser) {
+            this.storage.setItem(this.remoteConfigKey, JSON.stringify({ url }));
+            this.closeRemoteModal();
+            this.showSuccess(url ? 'Сервер сохранен. Войдите, чтобы синхронизировать данные' : 'Синхронизация с сервером отключена');
+            return;
+        }
+        
+        const username = this.currentUser.username;
+        
+        if (!url) {
+            await this.disconnectRemote(username);
+            await this.storage.writeRecords([{ type: 'clear', space: 'outbox', username }]);
+            this.storage.removeItem(`remoteCursor_${username}`);
+            this.storage.setItem(this.remoteConfigKey, JSON.stringify({ url: '' }));
+            this.setRemoteState('off', { pending: 0 });
+            this.closeRemoteModal();
+            this.showSyncNotification('Синхронизация с сервером отключена');
+            return;
+        }
+        
+        if (!password) {
+            this.showRemoteError('Введите пароль, чтобы подключить аккаунт');
+            return;
+        }
+        
+        const submitBtn = document.getElementById('remoteSubmitBtn');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        try {
+            if (url !== previousUrl) await this.disconnectRemote(username);
+            this.storage.setItem(this.remoteConfigKey, JSON.stringify({ url }));
+            
+            const result = await this.connectRemote(username, password);
+            if (result !== 'ok') {
+                this.storage.setItem(this.remoteConfigKey, JSON.stringify({ url: previousUrl }));
+                this.showRemoteError(result === 'denied'
+                    ? 'Неверный пароль'
+                    : 'На сервере этот логин связан с другим паролем. Выйдите и войдите с паролем от сервера — данные этого устройства будут заменены данными сервера.');
+                return;
+            }
+            
+            // Другой сервер — сравниваем с ним все данные заново
+            if (url !== previousUrl) await this.resetRemoteMirror(username);
+            for (const name of Object.keys(this.collections)) {
+                const record = this.getGlobalData()[name]?.[username];
+                if (record) await this.queueRemote('putCollection', [username, name, record]);
+            }
+            
+            this.closeRemoteModal();
+            this.startAutoSync();
+            await this.syncWithGlobal();
+            this.showSyncNotification('Сервер синхронизации подключен');
+        } catch (error) {
+            console.error('Remote connect error:', error);
+            this.storage.setItem(this.remoteConfigKey, JSON.stringify({ url: previousUrl }));
+            this.showRemoteError(error instanceof TypeError ? 'Сервер недоступен' : `Ошибка сервера: ${error.message}`);
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    // Показать окно конфликтов изменений
+    showConflictModal(conflicts) {
+        const known = new Set(this.syncConflicts.map(conflict => conflict.id));
+        const fresh = conflicts.filter(conflict => !known.has(conflict.id));
+        if (fresh.length === 0) return;
+        
+        this.syncConflicts = [...this.syncConflicts, ...fresh];
+        this.renderConflicts();
+        
+        const modal = document.getElementById('conflictModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно конфликтов
+    closeConflictModal() {
+        const modal = document.getElementById('conflictModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Описание версии записи в окне конфликтов
+    describeConflictVersion(record) {
+        if (record.deleted) return h('span', { class: 'conflict-deleted' }, 'Удалена');
+        return [
+            h('div', { class: 'transaction-description' }, record.description),
+            h('div', { class: 'transaction-meta' }, `${this.getTransactionLabel(record)} • ${new Date(record.date).toLocaleDateString()}`),
+            h('div', { class: ['transaction-amount', this.getAmountClass(record.type)] }, this.formatSignedAmount(record))
+        ];
+    }
+
+    // Список конфликтующих записей
+    renderConflicts() {
+        const list = document.getElementById('conflictList');
+        if (!list) return;
+        
+        setChildren(list, this.syncConflicts.map(({ local, remote }, index) => {
+            const remoteNewer = new Date(remote.updatedAt) > new Date(local.updatedAt);
+            const version = (record, value, title, checked) => h('label', { class: 'conflict-option' },
+                h('input', { type: 'radio', name: `conflict_${index}`, value, checked }),
+                h('div', {},
+                    h('div', { class: 'conflict-title' }, `${title} • ${record.updatedAt ? new Date(record.updatedAt).toLocaleString() : ''}`),
+                    this.describeConflictVersion(record)
+                )
+            );
+            return h('div', { class: 'conflict-item' },
+                version(local, 'local', 'Эта копия', !remoteNewer),
+                version(remote, 'remote', 'Другая копия', remoteNewer)
+            );
+        }));
+    }
+
+    // Применение выбранных версий к локальному и глобальному хранилищам
+    async resolveConflicts() {
+        if (!this.currentUser || this.syncConflicts.length === 0) return;
+        
+        const now = new Date().toISOString();
+        const deviceId = this.generateDeviceId();
+        const resolved = this.syncConflicts.map(({ local, remote }, index) => {
+            const choice = document.querySelector(`input[name="conflict_${index}"]:checked`)?.value || 'local';
+            const chosen = choice === 'remote' ? remote : local;
+            // Новая ревизия побеждает обе версии при следующем слиянии
+            return { ...chosen, rev: Math.max(local.rev || 0, remote.rev || 0) + 1, updatedAt: now, deviceId };
+        });
+        
+        try {
+            await this.runExclusive(async () => {
+                this.assertVaultKeyFresh();
+                
+                const username = this.currentUser.username;
+                const rows = await Promise.all(resolved.map(record => this.encryptRecord(record)));
+                await this.storage.writeRecords([
+                    { type: 'put', space: 'local', username, rows },
+                    { type: 'put', space: 'global', username, rows },
+                    { type: 'put', space: 'base', username, rows: rows.map(row => this.createBaseRow(row.id, row.signature)) },
+                    ...(this.getRemoteUrl()
+                        ? [{ type: 'put', space: 'outbox', username, rows: [this.createOutboxEntry('putTransactions', [username, rows])] }]
+                        : [])
+                ]);
+                this.storage.setItem(`lastModified_${username}`, now);
+                
+                const globalData = this.getGlobalData();
+                if (globalData.users[username]) globalData.users[username].lastModified = now;
+                this.saveGlobalData(globalData);
+                
+                await this.loadVaultTransactions(resolved);
+                this.notifyOtherTabs('data');
+            });
+            
+            this.syncConflicts = [];
+            this.closeConflictModal();
+            this.loadUserTransactions();
+            await this.syncWithGlobal();
+            this.showSyncNotification('Конфликты решены');
+        } catch (error) {
+            console.error('Error resolving conflicts:', error);
+            this.showError('Ошибка при сохранении выбранных версий');
+        }
+    }
+
+    // Экспорт данных
+    exportData() {
+        if (!this.currentUser) {
+            this.showError('Сначала войдите в систему');
+            return;
+        }
+        
+        const form = document.getElementById('exportForm');
+        if (form) form.reset();
+        
+        const periodOption = document.querySelector('#exportScope option[value="period"]');
+        if (periodOption) periodOption.textContent = `Текущий период (${this.getPeriodLabel()})`;
+        
+        const today = this.toDateKey(new Date());
+        document.getElementById('exportFrom').value = today.slice(0, 8) + '01';
+        document.getElementById('exportTo').value = today;
+        
+        this.renderExportCategories();
+        this.toggleExportRange();
+        
+        const errorEl = document.getElementById('exportError');
+        if (errorEl) errorEl.classList.remove('show');
+        
+        const modal = document.getElementById('exportModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно экспорта
+    closeExportModal() {
+        const modal = document.getElementById('exportModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Показать ошибку в окне экспорта
+    showExportError(message) {
+        const errorEl = document.getElementById('exportError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
+        }
+    }
+
+    // Поля произвольного диапазона видны только для него; резервная копия выгружается без фильтров
+    toggleExportRange() {
+        const backup = document.getElementById('exportFormat')?.value === 'json';
+        const scope = document.getElementById('exportScope')?.value;
+        const range = document.getElementById('exportRange');
+        if (range) range.style.display = scope === 'range' && !backup ? 'grid' : 'none';
+        
+        const scopeGroup = document.getElementById('exportScopeGroup');
+        if (scopeGroup) scopeGroup.style.display = backup ? 'none' : '';
+        const filters = document.getElementById('exportFilters');
+        if (filters) filters.style.display = backup ? 'none' : '';
+        const hint = document.getElementById('exportBackupHint');
+        if (hint) hint.style.display = backup ? '' : 'none';
+    }
+
+    // Список категорий для фильтра экспорта
+    renderExportCategories() {
+        const list = document.getElementById('exportCategories');
+        if (!list) return;
+        
+        setChildren(list, ['expense', 'income'].map(type => h('div', { class: 'export-category-group' },
+            h('div', { class: 'export-category-title' }, type === 'income' ? 'Доходы' : 'Расходы'),
+            this.getCategories(type, true).map(category => h('label', { class: ['checkbox-label', category.depth && 'child'] },
+                h('input', { type: 'checkbox', value: category.path, dataset: { type } }),
+                ` ${category.icon} ${category.name}`
+            ))
+        )));
+    }
+
+    // Транзакции, попадающие в выбранный объем экспорта
+    getExportTransactions() {
+        const scope = document.getElementById('exportScope')?.value || 'period';
+        let transactions = this.allTransactions.filter(t => t && t.date);
+        
+        if (scope === 'period') {
+            transactions = this.filterTransactionsByPeriod(transactions, this.currentPeriod);
+        } else if (scope === 'range') {
+            const from = document.getElementById('exportFrom')?.value;
+            const to = document.getElementById('exportTo')?.value;
+            if (!from || !to || from > to) {
+                return { error: 'Укажите корректный диапазон дат' };
+            }
+            transactions = transactions.filter(t => {
+                const key = this.toDateKey(new Date(t.date));
+                return key >= from && key <= to;
+            });
+        }
+        
+        // Выбранная родительская категория включает подкатегории
+        const selected = [...document.querySelectorAll('#exportCategories input:checked')]
+            .map(input => ({ type: input.dataset.type, path: input.value }));
+        if (selected.length > 0) {
+            transactions = transactions.filter(t => selected.some(c =>
+                c.type === t.type && this.isCategoryOrChild(t.category, c.path)));
+        }
+        
+        return { transactions: transactions.sort((a, b) => new Date(a.date) - new Date(b.date)) };
+    }
+
+    // Формирование и скачивание файла экспорта
+    handleExport(event) {
+        event.preventDefault();
+        
+        const format = document.getElementById('exportFormat')?.value || 'csv';
+        // Резервная копия всегда полная, иначе замена из нее удалила бы все, что не попало в выборку
+        const { transactions, error } = format === 'json'
+            ? { transactions: this.allTransactions.slice().sort((a, b) => new Date(a.date) - new Date(b.date)) }
+            : this.getExportTransactions();
+        
+        if (error) {
+            this.showExportError(error);
+            return;
+        }
+        
+        if (transactions.length === 0) {
+            this.showExportError('Нет транзакций для экспорта');
+            return;
+        }
+        
+        // Выписка ведется в валюте счета — без курса сумму операции не записать
+        if (format === 'ofx' || format === 'qif') {
+            const unconverted = this.getAccountEntries(transactions).filter(entry => entry.amount === null).length;
+            if (unconverted > 0) {
+                this.showExportError(`Нет курса валют для операций: ${unconverted}. Добавьте курсы, чтобы выгрузить выписку`);
+                return;
+            }
+        }
+        
+        try {
+            const builders = {
+                json: () => ({ content: this.buildJsonExport(transactions), type: 'application/json', ext: 'json' }),
+                csv: () => ({ content: this.buildCsvExport(transactions), type: 'text/csv;charset=utf-8', ext: 'csv' }),
+                xls: () => ({ content: this.buildSpreadsheetExport(transactions), type: 'application/vnd.ms-excel', ext: 'xls' }),
+                ofx: () => ({ content: this.buildOfxExport(transactions), type: 'application/x-ofx', ext: 'ofx' }),
+                qif: () => ({ content: this.buildQifExport(transactions), type: 'application/qif', ext: 'qif' })
+            };
+            const { content, type, ext } = builders[format]();
+            
+            this.downloadFile(content, `${this.getExportBaseName()}.${ext}`, type);
+            this.closeExportModal();
+            this.showSyncNotification(`📤 Экспортировано ${transactions.length} транзакций`);
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showExportError('Ошибка экспорта данных');
+        }
+    }
+
+    // Имя файла по соглашению finance_data_<user>_<date>
+    getExportBaseName() {
+        return `finance_data_${this.currentUser.username}_${this.toDateKey(new Date())}`;
+    }
+
+    // Скачивание сформированного файла
+    downloadFile(content, fileName, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // Резервная копия в собственном формате
+    buildJsonExport(transactions) {
+        const globalData = this.getGlobalData();
+        return JSON.stringify({
+            user: this.getPublicUserData(globalData.users[this.currentUser.username]),
+            transactions,
+            goals: this.getUserCollection('goals'),
+            exportDate: new Date().toISOString(),
+            version: this.dataVersion
+        }, null, 2);
+    }
+
+    // Строки экспорта для табличных форматов
+    getExportRows(transactions) {
+        const typeLabels = { income: 'Доход', expense: 'Расход', transfer: 'Перевод' };
+        const pad = (value) => String(value).padStart(2, '0');
+        
+        return transactions.map(t => {
+            const date = new Date(t.date);
+            const sign = t.type === 'expense' ? -1 : t.type === 'income' ? 1 : 0;
+            const baseAmount = this.toBaseAmount(t);
+            return {
+                date: `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()}`,
+                time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+                type: typeLabels[t.type] || t.type,
+                category: t.category || '',
+                description: t.description || '',
+                amount: sign === 0 ? t.amount : sign * t.amount,
+                currency: this.getTransactionCurrency(t),
+                account: this.getAccountName(this.getTransactionAccountId(t)),
+                toAccount: t.type === 'transfer' ? this.getAccountName(t.toAccountId) : '',
+                baseAmount: baseAmount === null ? null : (sign === 0 ? baseAmount : sign * baseAmount)
+            };
+        });
+    }
+
+    // Заголовки табличного экспорта
+    getExportHeader() {
+        return ['Дата', 'Время', 'Тип', 'Категория', 'Описание', 'Сумма', 'Валюта', 'Счёт', 'Счёт получателя', `Сумма, ${this.getBaseCurrency()}`];
+    }
+
+    // CSV для Excel: UTF-8 с BOM, разделитель «;», десятичная запятая
+    buildCsvExport(transactions) {
+        const quote = (value) => {
+            const text = String(value ?? '');
+            return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        // Текст с = + - @ или управляющего символа в начале табличный редактор выполнит как формулу
+        const cell = (value) => {
+            const text = String(value ?? '');
+            return quote(/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+        };
+        const number = (value) => value === null ? '' : value.toFixed(2).replace('.', ',');
+        
+        const lines = [this.getExportHeader().map(cell).join(';')];
+        this.getExportRows(transactions).forEach(row => {
+            lines.push([
+                cell(row.date), cell(row.time), cell(row.type), cell(row.category), cell(row.description),
+                number(row.amount), cell(row.currency), cell(row.account), cell(row.toAccount), number(row.baseAmount)
+            ].join(';'));
+        });
+        
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    // Текст в одну строку: в OFX и QIF перевод строки завершает поле
+    toSingleLine(value) {
+        return String(value ?? '').replace(/[\r\n]+/g, ' ');
+    }
+
+    // Экранирование для XML-форматов
+    escapeXml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Книга Excel в формате SpreadsheetML
+    buildSpreadsheetExport(transactions) {
+        const cell = (value) => typeof value === 'number'
+            ? `<Cell ss:StyleID="amount"><Data ss:Type="Number">${value.toFixed(2)}</Data></Cell>`
+            : `<Cell><Data ss:Type="String">${this.escapeXml(value)}</Data></Cell>`;
+        
+        const header = `<Row>${this.getExportHeader().map(title =>
+            `<Cell ss:StyleID="header"><Data ss:Type="String">${this.escapeXml(title)}</Data></Cell>`).join('')}</Row>`;
+        const rows = this.getExportRows(transactions).map(row => `<Row>${[
+            row.date, row.time, row.type, row.category, row.description,
+            row.amount, row.currency, row.account, row.toAccount, row.baseAmount ?? ''
+        ].map(cell).join('')}</Row>`);
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+<Styles>
+<Style ss:ID="header"><Font ss:Bold="1"/></Style>
+<Style ss:ID="amount"><NumberFormat ss:Format="0.00"/></Style>
+</Styles>
+<Worksheet ss:Name="Транзакции">
+<Table>
+${header}
+${rows.join('\n')}
+</Table>
+</Worksheet>
+</Workbook>
+`;
+    }
+
+    // Движения по счетам: перевод дает списание и зачисление; amount — null, если нет курса
+    getAccountEntries(transactions) {
+        const entries = [];
+        transactions.forEach(t => {
+            const accountId = this.getTransactionAccountId(t);
+            const amount = this.getAmountInAccountCurrency(t, accountId);
+            if (t.type === 'transfer') {
+                entries.push({ transaction: t, accountId, amount: amount === null ? null : -amount, fitId: `${t.id}_out` });
+                entries.push({ transaction: t, accountId: t.toAccountId, amount: this.getAmountInAccountCurrency(t, t.toAccountId), fitId: `${t.id}_in` });
+            } else {
+                entries.push({ transaction: t, accountId, amount: t.type === 'expense' && amount !== null ? -amount : amount, fitId: t.id });
+            }
+        });
+        return entries;
+    }
+
+    // Выписка OFX 2 по каждому счету
+    buildOfxExport(transactions) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const ofxDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        const text = (value) => this.escapeXml(this.toSingleLine(value));
+        const entries = this.getAccountEntries(transactions);
+        const accountIds = [...new Set(entries.map(entry => entry.accountId))];
+        const first = new Date(transactions[0].date);
+        const last = new Date(transactions[transactions.length - 1].date);
+        
+        const statements = accountIds.map(accountId => {
+            const lines = entries.filter(entry => entry.accountId === accountId).map(({ transaction, amount, fitId }) => {
+                const trnType = transaction.type === 'transfer' ? 'XFER' : amount < 0 ? 'DEBIT' : 'CREDIT';
+                return `<STMTTRN>
+<TRNTYPE>${trnType}</TRNTYPE>
+<DTPOSTED>${ofxDate(new Date(transaction.date))}</DTPOSTED>
+<TRNAMT>${amount.toFixed(2)}</TRNAMT>
+<FITID>${text(fitId)}</FITID>
+<NAME>${this.escapeXml(this.toSingleLine(transaction.description).slice(0, 32))}</NAME>
+<MEMO>${text(this.getTransactionLabel(transaction))}</MEMO>
+</STMTTRN>`;
+            });
+            
+            return `<STMTTRNRS>
+<TRNUID>${text(accountId)}</TRNUID>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<STMTRS>
+<CURDEF>${text(this.getAccountCurrency(accountId))}</CURDEF>
+<BANKACCTFROM>
+<BANKID>FINANCE</BANKID>
+<ACCTID>${text(accountId)}</ACCTID>
+<ACCTTYPE>CHECKING</ACCTTYPE>
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>${ofxDate(first)}</DTSTART>
+<DTEND>${ofxDate(last)}</DTEND>
+${lines.join('\n')}
+</BANKTRANLIST>
+</STMTRS>
+</STMTTRNRS>`;
+        });
+        
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+<SIGNONMSGSRSV1>
+<SONRS>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<DTSERVER>${ofxDate(new Date())}</DTSERVER>
+<LANGUAGE>RUS</LANGUAGE>
+</SONRS>
+</SIGNONMSGSRSV1>
+<BANKMSGSRSV1>
+${statements.join('\n')}
+</BANKMSGSRSV1>
+</OFX>
+`;
+    }
+
+    // Выписка QIF с блоком на каждый счет
+    buildQifExport(transactions) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const entries = this.getAccountEntries(transactions);
+        const accountIds = [...new Set(entries.map(entry => entry.accountId))];
+        const lines = [];
+        
+        accountIds.forEach(accountId => {
+            lines.push('!Account', `N${this.toSingleLine(this.getAccountName(accountId))}`, 'TBank', '^', '!Type:Bank');
+            entries.filter(entry => entry.accountId === accountId).forEach(({ transaction, amount }) => {
+                const date = new Date(transaction.date);
+                // Перевод в QIF указывается как категория [Счет]
+                const category = transaction.type === 'transfer'
+                    ? `[${this.getAccountName(amount < 0 ? transaction.toAccountId : this.getTransactionAccountId(transaction))}]`
+                    : (transaction.category || '').split(this.categorySeparator).join(':');
+                lines.push(
+                    `D${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}`,
+                    `T${amount.toFixed(2)}`,
+                    `P${this.toSingleLine(transaction.description)}`,
+                    `L${this.toSingleLine(category)}`,
+                    '^'
+                );
+            });
+        });
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // Импорт данных
+    importData() {
+        if (!this.currentUser) {
+            this.showError('Сначала войдите в систему');
+            return;
+        }
+        
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    let payload;
+                    try {
+                        payload = JSON.parse(event.target.result);
+                    } catch (error) {
+                        throw new Error('Файл не является корректным JSON');
+                    }
+                    
+                    this.pendingImport = this.prepareImport(this.migrateImportPayload(payload));
+                    this.pendingImport.fileName = file.name;
+                    this.showImportModal();
+                } catch (error) {
+                    console.error('Import error:', error);
+                    this.showError('Ошибка импорта: ' + error.message);
+                }
+            };
+            
+            reader.readAsText(file);
+        };
+        
+        input.click();
+    }
+
+    // Приведение файла старой версии к текущему формату
+    migrateImportPayload(payload) {
+        // Файлы без поля version считаются версией 0
+        const migrations = {
+            // Ранние файлы: голый массив транзакций, суммы строками, без дат изменения
+            0: (data) => {
+                const source = Array.isArray(data) ? { transactions: data } : data;
+                return {
+                    ...source,
+                    transactions: (source.transactions || []).map(t => {
+                        if (!t || typeof t !== 'object') return t;
+                        const amount = typeof t.amount === 'string' ? parseFloat(t.amount.replace(',', '.')) : t.amount;
+                        return { ...t, amount, createdAt: t.createdAt || t.date, updatedAt: t.updatedAt || t.date };
+                    }),
+                    version: 1
+                };
+            },
+            // Формат транзакций в файле не менялся, изменилось только хранилище
+            1: (data) => ({ ...data, version: 2 })
+        };
+        
+        let data = payload;
+        let version = Array.isArray(data) || data === null || typeof data !== 'object' || data.version === undefined ? 0 : data.version;
+        
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error('Неизвестная версия файла');
+        }
+        
+        if (version > this.dataVersion) {
+            throw new Error(`Файл создан более новой версией приложения (версия ${version})`);
+        }
+        
+        while (version < this.dataVersion) {
+            data = migrations[version](data);
+            version = data.version;
+        }
+        
+        if (!data || typeof data !== 'object' || !Array.isArray(data.transactions)) {
+            throw new Error('В файле нет списка транзакций');
+        }
+        
+        if (data.user && data.user.username !== this.currentUser.username) {
+            throw new Error('Данные принадлежат другому пользователю');
+        }
+        
+        return { ...data, sourceVersion: Array.isArray(payload) || payload.version === undefined ? 0 : payload.version };
+    }
+
+    // Проверка записи транзакции по схеме; возвращает нормализованную запись или ошибки.
+    // goalIds — цели, на которые может ссылаться запись (текущие и из файла)
+    validateTransactionRecord(record, goalIds) {
+        const errors = [];
+        
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { errors: ['Запись не является объектом'] };
+        }
+        
+        if (typeof record.id !== 'string' || !record.id.trim()) {
+            errors.push('Нет идентификатора');
+        }
+        
+        if (!['income', 'expense', 'transfer'].includes(record.type)) {
+            errors.push(`Неизвестный тип «${record.type}»`);
+        }
+        
+        if (typeof record.amount !== 'number' || !isFinite(record.amount) || record.amount <= 0) {
+            errors.push('Сумма должна быть положительным числом');
+        }
+        
+        const date = new Date(record.date);
+        if (typeof record.date !== 'string' || isNaN(date.getTime())) {
+            errors.push('Некорректная дата');
+        }
+        
+        if (record.type !== 'transfer' && (typeof record.category !== 'string' || !record.category.trim())) {
+            errors.push('Не указана категория');
+        }
+        
+        if (record.description !== undefined && typeof record.description !== 'string') {
+            errors.push('Описание должно быть строкой');
+        }
+        
+        if (record.currency !== undefined && record.currency !== null && !this.currencies[record.currency]) {
+            errors.push(`Неизвестная валюта «${record.currency}»`);
+        }
+        
+        const accounts = this.getUserCollection('accounts');
+        if (record.accountId && !accounts.some(a => a.id === record.accountId)) {
+            errors.push('Неизвестный счет');
+        }
+        
+        if (record.type === 'transfer' && (!accounts.some(a => a.id === record.toAccountId) || record.toAccountId === record.accountId)) {
+            errors.push('Неизвестный счет получателя перевода');
+        }
+        
+        if (record.goalId && !goalIds.has(record.goalId)) {
+            errors.push('Неизвестная цель накоплений');
+        }
+        
+        if (['recurringId', 'occurrenceKey'].some(field => record[field] != null && typeof record[field] !== 'string')) {
+            errors.push('Некорректная ссылка на регулярный платеж');
+        }
+        
+        // Метки изменения сравниваются при слиянии, поэтому принимаются только даты ISO
+        const timestamps = {};
+        ['createdAt', 'updatedAt'].forEach(field => {
+            if (record[field] == null) return;
+            const value = typeof record[field] === 'string' && /^\d{4}-\d{2}-\d{2}/.test(record[field]) ? new Date(record[field]) : null;
+            if (!value || isNaN(value.getTime())) {
+                errors.push(`Некорректная дата ${field === 'createdAt' ? 'создания' : 'изменения'}`);
+            } else {
+                timestamps[field] = value.toISOString();
+            }
+        });
+        
+        if (errors.length > 0) return { errors };
+        
+        // В базу попадают только известные поля
+        const normalized = {
+            id: record.id,
+            type: record.type,
+            amount: Math.round(record.amount * 100) / 100,
+            category: record.type === 'transfer' ? '' : record.category.trim(),
+            description: (record.description || '').trim() || 'Без описания',
+            date: date.toISOString(),
+            createdAt: timestamps.createdAt || date.toISOString(),
+            updatedAt: timestamps.updatedAt || timestamps.createdAt || date.toISOString()
+        };
+        ['currency', 'accountId', 'toAccountId', 'recurringId', 'occurrenceKey', 'goalId'].forEach(field => {
+            if (record[field]) normalized[field] = record[field];
+        });
+        
+        return { record: normalized };
+    }
+
+    // Сравнение значимых полей двух транзакций
+    isSameTransaction(a, b) {
+        const fields = ['type', 'amount', 'category', 'description', 'date', 'currency', 'accountId', 'toAccountId', 'goalId'];
+        return fields.every(field => (a[field] ?? null) === (b[field] ?? null) ||
+            (field === 'date' && new Date(a.date).getTime() === new Date(b.date).getTime()));
+    }
+
+    // Разбор файла на добавляемые, обновляемые, конфликтующие и отклоненные записи
+    prepareImport(data) {
+        const existing = new Map(this.allTransactions.map(t => [t.id, t]));
+        const seen = new Set();
+        const result = { version: data.sourceVersion, added: [], updated: [], conflicts: [], unchanged: [], rejected: [], valid: [] };
+        result.goals = this.prepareGoalsImport(data.goals);
+        const goalIds = new Set([...this.getUserCollection('goals'), ...(result.goals?.valid || [])].map(goal => goal.id));
+        
+        data.transactions.forEach((raw, index) => {
+            const { record, errors } = this.validateTransactionRecord(raw, goalIds);
+            
+            if (errors) {
+                result.rejected.push({ index, errors, raw });
+                return;
+            }
+            
+            if (seen.has(record.id)) {
+                result.rejected.push({ index, errors: ['Повторяющийся идентификатор'], raw });
+                return;
+            }
+            seen.add(record.id);
+            result.valid.push(record);
+            
+            const local = existing.get(record.id);
+            if (!local) {
+                result.added.push({ index, record });
+            } else if (this.isSameTransaction(local, record)) {
+                result.unchanged.push({ index, record });
+            } else if (!local.updatedAt || new Date(record.updatedAt) > new Date(local.updatedAt)) {
+                result.updated.push({ index, record, local });
+            } else {
+                // Локальная запись изменена не раньше файла — решает пользователь
+                result.conflicts.push({ index, record, local });
+            }
+        });
+        
+        return result;
+    }
+
+    // Проверка цели накоплений из файла; возвращает нормализованную запись или null
+    validateGoalRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+        if (typeof record.id !== 'string' || !record.id.trim()) return null;
+        if (typeof record.name !== 'string' || !record.name.trim()) return null;
+        if (typeof record.targetAmount !== 'number' || !isFinite(record.targetAmount) || record.targetAmount <= 0) return null;
+        if (record.deadline && !/^\d{4}-\d{2}-\d{2}$/.test(record.deadline)) return null;
+        
+        const initialAmount = typeof record.initialAmount === 'number' && isFinite(record.initialAmount) ? record.initialAmount : 0;
+        const createdAt = isNaN(new Date(record.createdAt).getTime()) ? new Date().toISOString() : record.createdAt;
+        return {
+            id: record.id,
+            name: record.name.trim().slice(0, 60),
+            targetAmount: Math.round(record.targetAmount * 100) / 100,
+            initialAmount: Math.round(Math.max(0, initialAmount) * 100) / 100,
+            deadline: record.deadline || '',
+            createdAt,
+            updatedAt: isNaN(new Date(record.updatedAt).getTime()) ? createdAt : record.updatedAt
+        };
+    }
+
+    // Цели из файла: новые, обновленные (более новая версия) и отклоненные.
+    // В старых файлах целей нет — тогда текущие цели не трогаем
+    prepareGoalsImport(goals) {
+        if (!Array.isArray(goals)) return null;
+        
+        const existing = new Map(this.getUserCollection('goals').map(goal => [goal.id, goal]));
+        const result = { valid: [], added: 0, updated: 0, rejected: 0 };
+        const seen = new Set();
+        goals.forEach(raw => {
+            const goal = this.validateGoalRecord(raw);
+            if (!goal || seen.has(goal.id)) {
+                result.rejected++;
+                return;
+            }
+            seen.add(goal.id);
+            result.valid.push(goal);
+            
+            const local = existing.get(goal.id);
+            if (!local) {
+                result.added++;
+            } else if (new Date(goal.updatedAt) > new Date(local.updatedAt || 0)) {
+                result.updated++;
+            }
+        });
+        return result;
+    }
+
+    // Цели после импорта: при слиянии побеждает более новая версия, при замене — файл
+    getImportedGoals(preview, mode) {
+        if (!preview.goals) return null;
+        if (mode === 'replace') return preview.goals.valid;
+        
+        const goals = new Map(this.getUserCollection('goals').map(goal => [goal.id, goal]));
+        preview.goals.valid.forEach(goal => {
+            const local = goals.get(goal.id);
+            if (!local || new Date(goal.updatedAt) > new Date(local.updatedAt || 0)) goals.set(goal.id, goal);
+        });
+        return [...goals.values()];
+    }
+
+    // Показать предпросмотр импорта
+    showImportModal() {
+        const mergeRadio = document.querySelector('input[name="importMode"][value="merge"]');
+        if (mergeRadio) mergeRadio.checked = true;
+        
+        this.renderImportPreview();
+        
+        const modal = document.getElementById('importModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть предпросмотр импорта
+    closeImportModal() {
+        const modal = document.getElementById('importModal');
+        if (modal) modal.classList.remove('active');
+        this.pendingImport = null;
+    }
+
+    // Выбранный режим импорта
+    getImportMode() {
+        return document.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+    }
+
+    // Отрисовка предпросмотра импорта
+    renderImportPreview() {
+        const preview = this.pendingImport;
+        if (!preview) return;
+        
+        const mode = this.getImportMode();
+        const validIds = new Set(preview.valid.map(t => t.id));
+        const removed = mode === 'replace' ? this.allTransactions.filter(t => !validIds.has(t.id)) : [];
+        
+        const info = document.getElementById('importFileInfo');
+        if (info) {
+            info.textContent = `${preview.fileName} • версия файла ${preview.version}` +
+                (preview.version < this.dataVersion ? ` (обновлена до ${this.dataVersion})` : '');
+        }
+        
+        const summary = document.getElementById('importSummary');
+        if (summary) {
+            const goals = preview.goals && `Целей: ${mode === 'replace' ? preview.goals.valid.length : `новых ${preview.goals.added}, обновится ${preview.goals.updated}`}` +
+                (preview.goals.rejected ? `, отклонено ${preview.goals.rejected}` : '');
+            setChildren(summary,
+                h('span', { class: 'import-chip added' }, `Новых: ${preview.added.length}`),
+                h('span', { class: 'import-chip updated' }, `Обновится: ${preview.updated.length}`),
+                h('span', { class: 'import-chip conflict' }, `Конфликтов: ${preview.conflicts.length}`),
+                h('span', { class: 'import-chip rejected' }, `Отклонено: ${preview.rejected.length}`),
+                h('span', { class: 'import-chip' }, `Без изменений: ${preview.unchanged.length}`),
+                mode === 'replace' ? h('span', { class: 'import-chip rejected' }, `Будет удалено: ${removed.length}`) : null,
+                goals ? h('span', { class: 'import-chip' }, goals) : null
+            );
+        }
+        
+        const row = (t) => `${new Date(t.date).toLocaleDateString()} • ${t.description} • ${this.formatSignedAmount(t)}`;
+        const section = (title, items) => items.length === 0 ? null : [
+            h('h4', { class: 'section-subtitle' }, title),
+            h('div', { class: 'import-list' }, items)
+        ];
+        
+        const details = document.getElementById('importDetails');
+        if (!details) return;
+        
+        setChildren(details,
+            section('Новые', preview.added.map(({ record }) => h('div', { class: 'import-row' }, row(record)))),
+            section('Обновленные', preview.updated.map(({ record, local }) => h('div', { class: 'import-row' },
+                row(local), h('br'), h('span', { class: 'import-arrow' }, '→'), ` ${row(record)}`
+            ))),
+            section(mode === 'merge' ? 'Конфликты (отметьте записи, которые взять из файла)' : 'Конфликты (будут заменены файлом)',
+                preview.conflicts.map(({ record, local }) => h('label', { class: 'import-row checkbox-label' },
+                    h('input', { type: 'checkbox', class: 'import-conflict', value: record.id, checked: mode === 'replace', disabled: mode === 'replace' }),
+                    h('span', {}, `Сейчас: ${row(local)}`, h('br'), `В файле: ${row(record)}`)
+                ))
+            ),
+            section('Отклоненные', preview.rejected.map(({ index, errors }) => h('div', { class: 'import-row import-row-error' },
+                `Запись ${index + 1}: ${errors.join('; ')}`
+            ))),
+            mode === 'replace' ? section('Будут удалены', removed.map(t => h('div', { class: 'import-row' }, row(t)))) : null
+        );
+    }
+
+    // Применение импорта
+    async confirmImport() {
+        const preview = this.pendingImport;
+        if (!preview) return;
+        
+        const mode = this.getImportMode();
+        const chosen = new Set([...document.querySelectorAll('.import-conflict:checked')].map(input => input.value));
+        let changes;
+        let removed = [];
+        
+        if (mode === 'replace') {
+            const kept = new Set(preview.valid.map(t => t.id));
+            removed = this.allTransactions.filter(t => !kept.has(t.id));
+            changes = { upserts: preview.valid, deletes: removed.map(t => t.id) };
+        } else {
+            changes = {
+                upserts: [
+                    ...preview.updated.map(({ record }) => record),
+                    ...preview.conflicts.filter(({ record }) => chosen.has(record.id)).map(({ record }) => record),
+                    ...preview.added.map(({ record }) => record)
+                ]
+            };
+        }
+        
+        const goals = this.getImportedGoals(preview, mode);
+        
+        try {
+            if (goals && JSON.stringify(goals) !== JSON.stringify(this.getUserCollection('goals'))) {
+                await this.saveUserCollection('goals', goals);
+            }
+            // Удаленные повторения регулярных платежей не должны появиться снова при следующей загрузке
+            await this.setOccurrenceSkips(removed, true);
+            await this.saveUserTransactions(changes);
+            await this.syncWithGlobal();
+            this.loadUserTransactions();
+            
+            this.closeImportModal();
+            this.showSyncNotification(mode === 'replace'
+                ? `📥 Данные заменены: ${preview.valid.length} транзакций`
+                : `📥 Добавлено ${preview.added.length}, обновлено ${preview.updated.length + chosen.size} транзакций`);
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showError('Ошибка импорта: ' + error.message);
+        }
+    }
+
+    // Выбор CSV-выписки банка
+    importCsv() {
+        if (!this.currentUser) {
+            this.showError('Сначала войдите в систему');
+            return;
+        }
+        
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.txt,text/csv';
+        
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const rows = this.parseCsv(this.decodeCsvBuffer(event.target.result));
+                    if (rows.length === 0) {
+                        throw new Error('Файл пуст');
+                    }
+                    
+                    this.csvImport = { fileName: file.name, rows };
+                    this.showCsvImportModal();
+                } catch (error) {
+                    console.error('CSV import error:', error);
+                    this.showError('Ошибка импорта: ' + error.message);
+                }
+            };
+            
+            reader.readAsArrayBuffer(file);
+        };
+        
+        input.click();
+    }
+
+    // Определение кодировки: UTF-8, иначе Windows-1251
+    decodeCsvBuffer(buffer) {
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            text = new TextDecoder('windows-1251').decode(buffer);
+        }
+        return text.replace(/^\uFEFF/, '');
+    }
+
+    // Разбор CSV с кавычками и автоопределением разделителя
+    parseCsv(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ';');
+        
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim());
+                if (row.some(value => value !== '')) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        row.push(field.trim());
+        if (row.some(value => value !== '')) rows.push(row);
+        
+        return rows;
+    }
+
+    // Дата в формате dd.mm.yyyy [hh:mm[:ss]] или yyyy-mm-dd
+    parseCsvDate(value) {
+        const ru = /^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value || '');
+        if (ru) {
+            const year = ru[3].length === 2 ? 2000 + Number(ru[3]) : Number(ru[3]);
+            const date = new Date(year, ru[2] - 1, ru[1], ru[4] || 0, ru[5] || 0, ru[6] || 0);
+            return date.getDate() === Number(ru[1]) ? date : null;
+        }
+        
+        const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value || '');
+        if (iso) {
+            return new Date(iso[1], iso[2] - 1, iso[3], iso[4] || 0, iso[5] || 0, iso[6] || 0);
+        }
+        
+        return null;
+    }
+
+    // Сумма с запятой, пробелами-разделителями разрядов и знаком
+    parseCsvAmount(value) {
+        const normalized = (value || '')
+            .replace(/[\s\u00A0\u202F]/g, '')
+            .replace(/[−–]/g, '-')
+            .replace(/[^\d,.\-+]/g, '')
+            .replace(',', '.');
+        
+        if (!/^[-+]?\d+(\.\d+)?$/.test(normalized)) return null;
+        return parseFloat(normalized);
+    }
+
+    // Предположение о назначении колонок по заголовку
+    guessCsvMapping(header) {
+        const find = (pattern) => header.findIndex(name => pattern.test(name.toLowerCase()));
+        return {
+            date: find(/дата/),
+            amount: find(/сумма/),
+            description: find(/описание|назначение|контрагент|получатель/),
+            category: find(/категор/),
+            currency: find(/валют/)
+        };
+    }
+
+    // Показать окно импорта выписки
+    showCsvImportModal() {
+        const { fileName, rows } = this.csvImport;
+        
+        const fileEl = document.getElementById('csvFileName');
+        if (fileEl) fileEl.textContent = `${fileName} • строк: ${rows.length}`;
+        
+        // Есть заголовок, если в первой строке нет ни одной даты
+        const hasHeader = !rows[0].some(value => this.parseCsvDate(value));
+        document.getElementById('csvHasHeader').checked = hasHeader;
+        
+        const mapping = hasHeader ? this.guessCsvMapping(rows[0]) : {};
+        this.fillCsvColumnSelects(mapping);
+        
+        this.fillAccountSelects(['csvAccount']);
+        this.fillRuleCategorySelect();
+        this.renderImportRules();
+        this.renderCsvPreview();
+        
+        const errorEl = document.getElementById('csvImportError');
+        if (errorEl) errorEl.classList.remove('show');
+        
+        const modal = document.getElementById('csvImportModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно импорта выписки
+    closeCsvImportModal() {
+        const modal = document.getElementById('csvImportModal');
+        if (modal) modal.classList.remove('active');
+        this.csvImport = null;
+    }
+
+    // Показать ошибку в окне импорта
+    showCsvImportError(message) {
+        const errorEl = document.getElementById('csvImportError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
+        }
+    }
+
+    // Списки колонок для сопоставления
+    fillCsvColumnSelects(mapping) {
+        const { rows } = this.csvImport;
+        const hasHeader = document.getElementById('csvHasHeader').checked;
+        const width = Math.max(...rows.map(row => row.length));
+        const optional = ['category', 'currency'];
+        
+        ['date', 'amount', 'description', 'category', 'currency'].forEach(field => {
+            const select = document.getElementById('csvColumn_' + field);
+            if (!select) return;
+            
+            select.innerHTML = optional.includes(field) ? '<option value="-1">—</option>' : '';
+            for (let i = 0; i < width; i++) {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = hasHeader && rows[0][i] ? rows[0][i] : `Колонка ${i + 1}`;
+                select.appendChild(option);
+            }
+            
+            const guessed = mapping[field] ?? -1;
+            select.value = guessed >= 0 ? guessed : (optional.includes(field) ? -1 : 0);
+        });
+    }
+
+    // Текущее сопоставление колонок
+    getCsvMapping() {
+        const mapping = {};
+        ['date', 'amount', 'description', 'category', 'currency'].forEach(field => {
+            mapping[field] = parseInt(document.getElementById('csvColumn_' + field)?.value ?? '-1', 10);
+        });
+        return mapping;
+    }
+
+    // Категория по правилам автокатегоризации
+    matchImportRule(description, type) {
+        const text = description.toLowerCase();
+        return this.getUserCollection('importRules').find(rule =>
+            rule.type === type && text.includes(rule.pattern.toLowerCase())) || null;
+    }
+
+    // Нормализация описания для сравнения
+    normalizeDescription(value) {
+        return (value || '').toLowerCase().replace(/[^a-zа-яё0-9]+/g, ' ').trim();
+    }
+
+    // Похожесть описаний по биграммам (коэффициент Дайса)
+    descriptionSimilarity(a, b) {
+        const left = this.normalizeDescription(a);
+        const right = this.normalizeDescription(b);
+        if (left === right) return 1;
+        if (left.length < 2 || right.length < 2) return 0;
+        
+        const bigrams = (text) => {
+            const counts = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const pair = text.substr(i, 2);
+                counts.set(pair, (counts.get(pair) || 0) + 1);
+            }
+            return counts;
+        };
+        
+        const leftPairs = bigrams(left);
+        const rightPairs = bigrams(right);
+        let overlap = 0;
+        leftPairs.forEach((count, pair) => {
+            overlap += Math.min(count, rightPairs.get(pair) || 0);
+        });
+        
+        return (2 * overlap) / (left.length - 1 + right.length - 1);
+    }
+
+    // Поиск уже записанной похожей транзакции
+    findDuplicateTransaction(candidate) {
+        const day = 24 * 60 * 60 * 1000;
+        const time = new Date(candidate.date).getTime();
+        
+        return this.allTransactions.find(t =>
+            t && t.type === candidate.type &&
+            Math.abs((t.amount || 0) - candidate.amount) < 0.005 &&
+            this.getTransactionCurrency(t) === candidate.currency &&
+            Math.abs(new Date(t.date).getTime() - time) <= day &&
+            this.descriptionSimilarity(t.description, candidate.description) >= 0.6) || null;
+    }
+
+    // Разбор строк выписки по сопоставлению колонок
+    buildCsvTransactions() {
+        const { rows } = this.csvImport;
+        const mapping = this.getCsvMapping();
+        const hasHeader = document.getElementById('csvHasHeader').checked;
+        const accountId = document.getElementById('csvAccount')?.value || this.getDefaultAccountId();
+        const accountCurrency = this.getAccountCurrency(accountId);
+        
+        return rows.slice(hasHeader ? 1 : 0).map((row, index) => {
+            const date = this.parseCsvDate(row[mapping.date]);
+            const signed = this.parseCsvAmount(row[mapping.amount]);
+            // Апостроф перед формулой добавляет наш экспорт CSV
+            const description = (row[mapping.description] || '').trim().replace(/^'(?=[=+\-@])/, '');
+            
+            if (!date || signed === null || signed === 0) {
+                return { index, error: !date ? 'Неверная дата' : 'Неверная сумма', row };
+            }
+            
+            const type = signed < 0 ? 'expense' : 'income';
+            const currencyValue = mapping.currency >= 0 ? (row[mapping.currency] || '').toUpperCase() : '';
+            const currency = this.currencies[currencyValue] ? currencyValue
+                : currencyValue === 'RUR' ? 'RUB' : accountCurrency;
+            
+            // Правило пользователя важнее категории из выписки
+            const rule = this.matchImportRule(description, type);
+            const bankCategory = mapping.category >= 0 ? row[mapping.category] : '';
+            const known = bankCategory && this.findCategoryByPath(bankCategory, type);
+            const category = rule ? rule.category : known ? known.path : 'Другое';
+            
+            const transaction = {
+                type,
+                amount: Math.abs(signed),
+                currency,
+                category,
+                description: description || 'Без описания',
+                date: date.toISOString(),
+                accountId,
+                toAccountId: null
+            };
+            
+            return { index, transaction, duplicate: this.findDuplicateTransaction(transaction) };
+        });
+    }
+
+    // Предпросмотр импорта
+    renderCsvPreview() {
+        if (!this.csvImport) return;
+        
+        const preview = document.getElementById('csvPreview');
+        const summary = document.getElementById('csvSummary');
+        const items = this.buildCsvTransactions();
+        this.csvImport.items = items;
+        
+        const valid = items.filter(item => item.transaction);
+        const duplicates = valid.filter(item => item.duplicate);
+        const errors = items.filter(item => item.error);
+        
+        if (summary) {
+            summary.textContent = `Новых: ${valid.length - duplicates.length} • похожих на уже записанные: ${duplicates.length} • с ошибками: ${errors.length}`;
+        }
+        
+        if (!preview) return;
+        
+        setChildren(preview, h('table', { class: 'csv-preview-table' },
+            h('thead', {},
+                h('tr', {}, ['', 'Дата', 'Описание', 'Категория', 'Сумма'].map(title => h('th', {}, title)))
+            ),
+            h('tbody', {}, items.map(item => item.error
+                ? h('tr', { class: 'csv-row-error' },
+                    h('td', {}),
+                    h('td', { colspan: 4 }, `Строка ${item.index + 1}: ${item.error} — ${item.row.join('; ')}`)
+                )
+                : h('tr', { class: item.duplicate && 'csv-row-duplicate', title: item.duplicate && `Похоже на: ${item.duplicate.description}` },
+                    h('td', {}, h('input', { type: 'checkbox', checked: !item.duplicate, dataset: { index: item.index } })),
+                    h('td', {}, new Date(item.transaction.date).toLocaleDateString()),
+                    h('td', {}, item.transaction.description),
+                    h('td', {}, item.transaction.category),
+                    h('td', { class: this.getAmountClass(item.transaction.type) }, this.formatSignedAmount(item.transaction))
+                )
+            ))
+        ));
+    }
+
+    // Смена признака заголовка пересобирает списки колонок
+    toggleCsvHeader() {
+        const hasHeader = document.getElementById('csvHasHeader').checked;
+        this.fillCsvColumnSelects(hasHeader ? this.guessCsvMapping(this.csvImport.rows[0]) : {});
+        this.renderCsvPreview();
+    }
+
+    // Импорт отмеченных строк выписки
+    async confirmCsvImport() {
+        if (!this.csvImport || !this.csvImport.items) return;
+        
+        const checked = new Set([...document.querySelectorAll('#csvPreview input[type="checkbox"]:checked')]
+            .map(input => Number(input.dataset.index)));
+        const now = new Date().toISOString();
+        
+        const imported = this.csvImport.items
+            .filter(item => item.transaction && checked.has(item.index))
+            .map(item => ({
+                id: Date.now().toString(36) + Math.random().toString(36).substr(2, 6),
+                ...item.transaction,
+                createdAt: now,
+                updatedAt: now
+            }));
+        
+        if (imported.length === 0) {
+            this.showCsvImportError('Не выбрано ни одной строки');
+            return;
+        }
+        
+        const skipped = this.csvImport.items.length - imported.length;
+        
+        try {
+            await this.saveUserTransactions({ upserts: imported });
+            await this.syncWithGlobal();
+            this.loadUserTransactions();
+            
+            this.closeCsvImportModal();
+            this.showSyncNotification(`📥 Импортировано ${imported.length} транзакций, пропущено ${skipped}`);
+        } catch (error) {
+            console.error('CSV import error:', error);
+            this.showCsvImportError('Ошибка при сохранении транзакций');
+        }
+    }
+
+    // Категории для правил автокатегоризации
+    fillRuleCategorySelect() {
+        const typeSelect = document.getElementById('csvRuleType');
+        const categorySelect = document.getElementById('csvRuleCategory');
+        if (typeSelect && categorySelect) this.fillCategorySelect(typeSelect, categorySelect);
+    }
+
+    // Список правил автокатегоризации
+    renderImportRules() {
+        const list = document.getElementById('csvRulesList');
+        if (!list) return;
+        
+        const rules = this.getUserCollection('importRules');
+        setChildren(list, rules.map(rule => h('div', { class: 'category-manage-item' },
+            h('span', { class: 'category-manage-name' }, `«${rule.pattern}» → ${rule.category}`),
+            h('span', { class: 'account-manage-balance' }, rule.type === 'income' ? 'доход' : 'расход'),
+            h('button', { type: 'button', class: 'delete-btn', title: 'Удалить', dataset: { action: 'deleteImportRule', args: JSON.stringify([rule.id]) } }, '🗑️')
+        )));
+    }
+
+    // Добавление правила автокатегоризации
+    async handleAddImportRule(event) {
+        event.preventDefault();
+        
+        const pattern = (document.getElementById('csvRulePattern')?.value || '').trim();
+        const type = document.getElementById('csvRuleType')?.value || 'expense';
+        const category = document.getElementById('csvRuleCategory')?.value;
+        
+        if (!pattern || !category) {
+            this.showCsvImportError('Укажите текст и категорию для правила');
+            return;
+        }
+        
+        const rules = this.getUserCollection('importRules')
+            .filter(rule => !(rule.type === type && rule.pattern.toLowerCase() === pattern.toLowerCase()));
+        rules.push({
+            id: 'rule_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            pattern,
+            type,
+            category
+        });
+        
+        try {
+            await this.saveUserCollection('importRules', rules);
+            document.getElementById('csvRulePattern').value = '';
+            this.renderImportRules();
+            this.renderCsvPreview();
+        } catch (error) {
+            console.error('Error saving import rule:', error);
+            this.showCsvImportError('Ошибка при сохранении правила');
+        }
+    }
+
+    // Удаление правила автокатегоризации
+    async deleteImportRule(ruleId) {
+        try {
+            await this.saveUserCollection('importRules', this.getUserCollection('importRules').filter(rule => rule.id !== ruleId));
+            this.renderImportRules();
+            this.renderCsvPreview();
+        } catch (error) {
+            console.error('Error deleting import rule:', error);
+            this.showCsvImportError('Ошибка при удалении правила');
+        }
+    }
+
+    // Описание состояния синхронизации с сервером
+    describeRemoteState() {
+        const { status, pending, error, syncedAt } = this.remoteState;
+        const queue = pending > 0 ? ` • в очереди: ${pending}` : '';
+        
+        switch (status) {
+            case 'synced':
+                return `🟢 Сервер: синхронизировано ${this.getTimeAgo(syncedAt)}`;
+            case 'sending':
+                return `🟡 Отправка на сервер${queue}`;
+            case 'offline':
+                return `🔴 Нет связи с сервером${queue}`;
+            case 'auth':
+                return `🟠 Войдите на сервер снова${queue}`;
+            case 'error':
+                return `🔴 Ошибка сервера: ${error}${queue}`;
+            default:
+                if (this.getRemoteUrl()) return '🟡 Сервер: ожидание синхронизации';
+                return this.lastSyncTime
+                    ? `💾 Только на этом устройстве • ${this.getTimeAgo(this.lastSyncTime)}`
+                    : '💾 Только на этом устройстве';
+        }
+    }
+
+    // Обновление статуса синхронизации
+    updateSyncStatus() {
+        const remoteStatus = document.getElementById('remoteStatus');
+        
+        if (!remoteStatus) return;
+        
+        remoteStatus.textContent = this.describeRemoteState();
+        remoteStatus.className = `remote-status ${this.remoteState.status}`;
+    }
+
+    // Получение времени в формате "X минут назад"
+    getTimeAgo(date) {
+        const seconds = Math.floor((new Date() - date) / 1000);
+        
+        if (seconds < 60) return 'только что';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} мин. назад`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} ч. назад`;
+        return `${Math.floor(seconds / 86400)} д. назад`;
+    }
+
+    // Переключение вкладок аутентификации
+    switchAuthTab(tab) {
+        const tabs = document.querySelectorAll('.auth-tab');
+        const forms = document.querySelectorAll('.auth-form');
+        
+        tabs.forEach(t => t.classList.remove('active'));
+        forms.forEach(f => f.classList.remove('active'));
+        
+        if (tab === 'login') {
+            tabs[0]?.classList.add('active');
+            const loginForm = document.getElementById('loginForm');
+            if (loginForm) loginForm.classList.add('active');
+        } else {
+            tabs[1]?.classList.add('active');
+            const registerForm = document.getElementById('registerForm');
+            if (registerForm) registerForm.classList.add('active');
+        }
+        
+        this.hideMessages();
+    }
+
+    // Обработка входа
+    async handleLogin(event) {
+        event.preventDefault();
+        
+        const usernameInput = document.getElementById('loginUsername');
+        const passwordInput = document.getElementById('loginPassword');
+        
+        if (!usernameInput || !passwordInput) {
+            this.showError('Форма входа не найдена');
+            return;
+        }
+        
+        const username = usernameInput.value.trim();
+        const password = passwordInput.value;
+        // Поле прежнего пароля видно, только когда сервер сообщил о смене пароля
+        const previousGroup = document.getElementById('previousPasswordGroup');
+        const previousPassword = previousGroup && previousGroup.style.display !== 'none'
+            ? document.getElementById('loginPreviousPassword')?.value || ''
+            : undefined;
+        
+        if (!username || !password) {
+            this.showError('Заполните все поля');
+            return;
+        }
+        
+        // Показываем состояние загрузки
+        const loginBtn = document.getElementById('loginBtn');
+        const loginBtnText = document.getElementById('loginBtnText');
+        if (loginBtn) loginBtn.disabled = true;
+        if (loginBtnText) loginBtnText.innerHTML = '<span class="loading-spinner"></span> Вход...';
+        
+        setTimeout(async () => {
+            try {
+                // Сервер проверяет пароль первым и обновляет учетную запись на устройстве
+                const remoteResult = await this.loginRemote(username, password, previousPassword);
+                const globalData = this.getGlobalData();
+                const user = globalData.users[username];
+                
+                if (remoteResult === 'pending') {
+                    // Пароль сменили на другом устройстве — спрашиваем прежний, чтобы перенести изменения
+                    if (previousGroup) previousGroup.style.display = '';
+                    this.showError(previousPassword
+                        ? 'Неверный прежний пароль'
+                        : 'Пароль сменили на другом устройстве, а здесь остались неотправленные изменения. Введите прежний пароль, чтобы сохранить их, или оставьте поле пустым, чтобы отказаться от них');
+                } else if (remoteResult !== 'denied' && user && await this.verifyPassword(user, password)) {
+                    // Обновляем устаревший хеш или пароль в открытом виде
+                    if (this.needsPasswordRehash(user)) {
+                        const passwordRecord = await this.createPasswordRecord(password);
+                        const freshData = this.getGlobalData();
+                        Object.assign(freshData.users[username], passwordRecord);
+                        delete freshData.users[username].password;
+                        this.saveGlobalData(freshData);
+                    }
+                    
+                    // Получаем ключ шифрования данных
+                    await this.unlockVault(username, password);
+                    
+                    this.currentUser = {
+                        username: user.username,
+                        email: user.email,
+                        createdAt: user.createdAt
+                    };
+                    
+                    // Открываем сессию в реестре
+                    await this.startSession(username);
+                    
+                    // Синхронизируем и расшифровываем данные
+                    await this.syncWithGlobal();
+                    await this.loadVaultTransactions();
+                    await this.loadUserCollections();
+                    this.updateCategories();
+                    this.loadUserTransactions();
+                    
+                    this.showMainApp();
+                    this.hideMessages();
+                    this.startAutoSync();
+                    
+                    const loginForm = document.getElementById('loginForm');
+                    if (loginForm) loginForm.reset();
+                    if (previousGroup) previousGroup.style.display = 'none';
+                    
+                } else {
+                    this.showError('Неверный логин или пароль');
+                }
+            } catch (error) {
+                console.error('Login error:', error);
+                this.showError('Ошибка при входе. Попробуйте еще раз.');
+            }
+            
+            if (loginBtn) loginBtn.disabled = false;
+            if (loginBtnText) loginBtnText.textContent = 'Войти в аккаунт';
+        }, 1000);
+    }
+
+    // Обработка регистрации
+    async handleRegister(event) {
+        event.preventDefault();
+        
+        const usernameInput = document.getElementById('registerUsername');
+        const emailInput = document.getElementById('registerEmail');
+        const passwordInput = document.getElementById('registerPassword');
+        const confirmPasswordInput = document.getElementById('confirmPassword');
+        
+        if (!usernameInput || !emailInput || !passwordInput || !confirmPasswordInput) {
+            this.showError('Форма регистрации не найдена');
+            return;
+        }
+        
+        const username = usernameInput.value.trim();
+        const email = emailInput.value.trim();
+        const password = passwordInput.value;
+        const confirmPassword = confirmPasswordInput.value;
+        
+        // Валидация
+        if (!username || !email || !password || !confirmPassword) {
+            this.showError('Заполните все поля');
+            return;
+        }
+        
+        if (username.length < 3) {
+            this.showError('Логин должен содержать минимум 3 символа');
+            return;
+        }
+        
+        if (!email.includes('@') || !email.includes('.')) {
+            this.showError('Введите корректный email');
+            return;
+        }
+        
+        if (password !== confirmPassword) {
+            this.showError('Пароли не совпадают');
+            return;
+        }
+        
+        if (!this.validatePassword(password)) {
+            this.showError('Пароль не соответствует требованиям');
+            return;
+        }
+        
+        // Показываем состояние загрузки
+        const registerBtn = document.getElementById('registerBtn');
+        const registerBtnText = document.getElementById('registerBtnText');
+        if (registerBtn) registerBtn.disabled = true;
+        if (registerBtnText) registerBtnText.innerHTML = '<span class="loading-spinner"></span> Создание...';
+        
+        setTimeout(async () => {
+            try {
+                const passwordRecord = await this.createPasswordRecord(password);
+                const vaultRecord = this.createVaultRecord();
+                const vaultKey = await this.deriveVaultKey(password, vaultRecord.vaultSalt, vaultRecord.vaultIterations);
+                const globalData = this.getGlobalData();
+                
+                if (globalData.users[username]) {
+                    this.showError('Пользователь с таким логином уже существует');
+                    if (registerBtn) registerBtn.disabled = false;
+                    if (registerBtnText) registerBtnText.textContent = 'Создать аккаунт';
+                    return;
+                }
+                
+                const newUser = {
+                    username,
+                    email,
+                    ...passwordRecord,
+                    ...vaultRecord,
+                    createdAt: new Date().toISOString(),
+                    lastModified: new Date().toISOString(),
+                    deviceId: this.generateDeviceId()
+                };
+                
+                // Логин должен быть свободен и на сервере синхронизации
+                const remoteError = this.getRemoteUrl() ? await this.registerRemote(newUser, password) : null;
+                if (remoteError) {
+                    this.showError(remoteError);
+                    if (registerBtn) registerBtn.disabled = false;
+                    if (registerBtnText) registerBtnText.textContent = 'Создать аккаунт';
+                    return;
+                }
+                
+                // Сохраняем пользователя в глобальное хранилище
+                globalData.users[username] = newUser;
+                
+                // Записи прежнего пользователя с тем же логином не расшифровать новым ключом
+                await this.storage.writeRecords(['local', 'global', 'base', 'outbox'].map(space => ({ type: 'clear', space, username })));
+                this.storage.removeItem(`remoteCursor_${username}`);
+                this.saveGlobalData(globalData);
+                
+                // Автоматически входим после регистрации
+                this.vaultKey = vaultKey;
+                this.vaultSalt = vaultRecord.vaultSalt;
+                this.setStoredTransactions([]);
+                this.currentUser = {
+                    username: newUser.username,
+                    email: newUser.email,
+                    createdAt: newUser.createdAt
+                };
+                
+                await this.startSession(username);
+                await this.loadUserCollections();
+                this.updateCategories();
+                
+                this.showMainApp();
+                this.showSuccess('Аккаунт успешно создан!');
+                this.startAutoSync();
+                
+                const registerForm = document.getElementById('registerForm');
+                if (registerForm) registerForm.reset();
+                
+            } catch (error) {
+                console.error('Registration error:', error);
+                this.showError('Ошибка при регистрации. Попробуйте еще раз.');
+            }
+            
+            if (registerBtn) registerBtn.disabled = false;
+            if (registerBtnText) registerBtnText.textContent = 'Создать аккаунт';
+        }, 1000);
+    }
+
+    // Валидация пароля
+    validatePassword(password) {
+        return password.length >= 6 && /[A-Z]/.test(password) && /\d/.test(password);
+    }
+
+    // Проверка требований к паролю
+    checkPasswordRequirements() {
+        const passwordInput = document.getElementById('registerPassword');
+        if (!passwordInput) return;
+        
+        const password = passwordInput.value;
+        const reqLength = document.getElementById('reqLength');
+        const reqUpper = document.getElementById('reqUpper');
+        const reqNumber = document.getElementById('reqNumber');
+        
+        if (reqLength) {
+            if (password.length >= 6) {
+                reqLength.textContent = '✓ Минимум 6 символов';
+                reqLength.classList.add('met');
+            } else {
+                reqLength.textContent = '○ Минимум 6 символов';
+                reqLength.classList.remove('met');
+            }
+        }
+        
+        if (reqUpper) {
+            if (/[A-Z]/.test(password)) {
+                reqUpper.textContent = '✓ Одна заглавная буква';
+                reqUpper.classList.add('met');
+            } else {
+                reqUpper.textContent = '○ Одна заглавная буква';
+                reqUpper.classList.remove('met');
+            }
+        }
+        
+        if (reqNumber) {
+            if (/\d/.test(password)) {
+                reqNumber.textContent = '✓ Одна цифра';
+                reqNumber.classList.add('met');
+            } else {
+                reqNumber.textContent = '○ Одна цифра';
+                reqNumber.classList.remove('met');
+            }
+        }
+    }
+
+    // Выход из системы
+    async logout() {
+        // Синхронизируем данные перед выходом
+        if (this.currentUser) {
+            await this.syncWithGlobal();
+        }
+        
+        if (this.sessionId) {
+            this.revokeSession(this.sessionId);
+            this.sessionId = null;
+        }
+        
+        if (this.currentUser) {
+            await this.disconnectRemote(this.currentUser.username);
+        }
+        
+        // Сессия в localStorage общая, поэтому остальные вкладки тоже выходят
+        this.notifyOtherTabs('session');
+        this.stopAutoSync();
+        
+        this.storage.removeItem('financeAuth');
+        this.currentUser = null;
+        this.transactions = [];
+        this.setStoredTransactions([]);
+        this.selectedTransactions.clear();
+        this.hideUndo();
+        this.syncConflicts = [];
+        this.collections = {};
+        this.collectionVersions = {};
+        this.vaultKey = null;
+        this.vaultSalt = null;
+        this.remoteState = { status: 'off', pending: 0, error: '' };
+        this.closePasswordModal();
+        this.closeEditModal();
+        this.closeConflictModal();
+        this.closeTrashModal();
+        this.closeGoalModal();
+        this.showAuth();
+    }
+
+    // Показать окно смены пароля
+    showPasswordModal() {
+        const form = document.getElementById('passwordForm');
+        if (form) form.reset();
+        this.hidePasswordError();
+        
+        const modal = document.getElementById('passwordModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно смены пароля
+    closePasswordModal() {
+        const modal = document.getElementById('passwordModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Показать ошибку в окне смены пароля
+    showPasswordError(message) {
+        const errorEl = document.getElementById('passwordError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
+        }
+    }
+
+    // Скрыть ошибку в окне смены пароля
+    hidePasswordError() {
+        const errorEl = document.getElementById('passwordError');
+        if (errorEl) errorEl.classList.remove('show');
+    }
+
+    // Смена пароля с перешифровкой данных
+    async handleChangePassword(event) {
+        event.preventDefault();
+        
+        if (!this.currentUser || !this.vaultKey) {
+            this.showError('Сначала войдите в систему');
+            return;
+        }
+        
+        const currentPasswordInput = document.getElementById('currentPassword');
+        const newPasswordInput = document.getElementById('newPassword');
+        const confirmNewPasswordInput = document.getElementById('confirmNewPassword');
+        
+        if (!currentPasswordInput || !newPasswordInput || !confirmNewPasswordInput) {
+            this.showPasswordError('Форма смены пароля не найдена');
+            return;
+        }
+        
+        const currentPassword = currentPasswordInput.value;
+        const newPassword = newPasswordInput.value;
+        const confirmNewPassword = confirmNewPasswordInput.value;
+        
+        if (!currentPassword || !newPassword || !confirmNewPassword) {
+            this.showPasswordError('Заполните все поля');
+            return;
+        }
+        
+        if (newPassword !== confirmNewPassword) {
+            this.showPasswordError('Пароли не совпадают');
+            return;
+        }
+        
+        if (!this.validatePassword(newPassword)) {
+            this.showPasswordError('Пароль не соответствует требованиям');
+            return;
+        }
+        
+        const username = this.currentUser.username;
+        const submitBtn = document.getElementById('passwordSubmitBtn');
+        if (submitBtn) submitBtn.disabled = true;
+        
+        try {
+            if (!await this.verifyPassword(this.getGlobalData().users[username], currentPassword)) {
+                this.showPasswordError('Неверный текущий пароль');
+                return;
+            }
+            
+            // Забираем последние изменения, чтобы ничего не потерять при перешифровке
+            await this.syncWithGlobal();
+            
+            // Сервер заменит данные перешифрованными, поэтому все изменения должны быть уже на нем,
+            // а курсор — учитывать отправленное слиянием
+            const client = this.getRemoteClient(username);
+            if (client) await this.exchangeWithRemote(true);
+            if (client && this.remoteState.status !== 'synced') {
+                this.showPasswordError('Для смены пароля нужно подключение к серверу синхронизации');
+                return;
+            }
+            
+            const passwordRecord = await this.createPasswordRecord(newPassword);
+            const vaultRecord = this.createVaultRecord();
+            const vaultKey = await this.deriveVaultKey(newPassword, vaultRecord.vaultSalt, vaultRecord.vaultIterations);
+            
+            // Перешифровываем обе копии записей новым ключом
+            const spaces = {};
+            for (const space of ['local', 'global']) {
+                const rows = await this.storage.getRecords(space, username);
+                const records = await Promise.all(rows.map(row => this.decryptData(row.payload)));
+                spaces[space] = { rows, next: await Promise.all(records.map(record => this.encryptRecord(record, vaultKey))) };
+            }
+            
+            // Проверяем, что новые данные расшифровываются полностью
+            for (const { next } of Object.values(spaces)) {
+                for (const row of next) {
+                    if ((await this.decryptData(row.payload, vaultKey)).id !== row.id) {
+                        throw new Error('Проверка перешифровки не пройдена');
+                    }
+                }
+            }
+            
+            const now = new Date().toISOString();
+            const globalData = this.getGlobalData();
+            Object.assign(globalData.users[username], passwordRecord, vaultRecord, { lastModified: now });
+            delete globalData.users[username].password;
+            const collectionRecords = await this.reencryptUserCollections(globalData, username, vaultKey);
+            
+            if (client) {
+                const params = await client.getUserParams(username);
+                const authSalt = this.generateSalt();
+                try {
+                    const { cursor } = await client.changePassword(username, {
+                        authHash: await this.hashPassword(currentPassword, params.authSalt, params.authIterations),
+                        newAuth: {
+                            authSalt,
+                            authIterations: this.passwordIterations,
+                            authHash: await this.hashPassword(newPassword, authSalt, this.passwordIterations)
+                        },
+                        ...vaultRecord,
+                        rows: spaces.global.next,
+                        collections: collectionRecords,
+                        cursor: Number(this.storage.getItem(`remoteCursor_${username}`) || 0)
+                    });
+                    this.storage.setItem(`remoteCursor_${username}`, String(cursor));
+                } catch (error) {
+                    if (error.status === 401) {
+                        this.showPasswordError('Сервер не принял текущий пароль');
+                        return;
+                    }
+                    if (error.status === 409) {
+                        this.showPasswordError('На сервере появились изменения с другого устройства. Дождитесь синхронизации и повторите');
+                        this.syncWithGlobal();
+                        return;
+                    }
+                    throw error;
+                }
+            }
+            
+            // Очередь могла пополниться во время смены — отправим ее уже под новым ключом
+            const outboxRows = await this.storage.getRecords('outbox', username);
+            spaces.outbox = { rows: outboxRows, next: await this.reencryptOutbox(outboxRows, vaultKey) };
+            
+            const replaceRows = (version) => Object.entries(spaces).flatMap(([space, rows]) => [
+                { type: 'clear', space, username },
+                { type: 'put', space, username, rows: rows[version] }
+            ]);
+            await this.storage.writeRecords(replaceRows('next'));
+            
+            if (!this.saveGlobalData(globalData)) {
+                // Учетная запись осталась со старым ключом — возвращаем прежние записи
+                await this.storage.writeRecords(replaceRows('rows'));
+                throw new Error('Не удалось сохранить данные');
+            }
+            
+            this.storage.setItem(`lastModified_${username}`, now);
+            Object.entries(collectionRecords).forEach(([name, record]) => {
+                this.storage.setItem(`${name}_${username}`, JSON.stringify(record));
+                this.collectionVersions[name] = record.updatedAt;
+            });
+            this.vaultKey = vaultKey;
+            this.vaultSalt = vaultRecord.vaultSalt;
+            this.notifyOtherTabs('data');
+            
+            this.closePasswordModal();
+            this.showSyncNotification('Пароль изменен');
+        } catch (error) {
+            console.error('Change password error:', error);
+            this.showPasswordError('Ошибка при смене пароля. Попробуйте еще раз.');
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    // Загрузка транзакций пользователя
+    loadUserTransactions() {
+        if (!this.currentUser) return;
+        
+        // Создаем наступившие регулярные платежи
+        const dueTransactions = this.getDueRecurringTransactions();
+        if (dueTransactions.length > 0) {
+            this.allTransactions = [...this.allTransactions, ...dueTransactions];
+            this.saveUserTransactions({ upserts: dueTransactions })
+                .then(() => this.syncWithGlobal())
+                .catch(error => console.error('Error saving recurring transactions:', error));
+        }
+        
+        try {
+            this.transactions = this.filterTransactionsByPeriod(this.allTransactions, this.currentPeriod);
+        } catch (error) {
+            console.error('Error loading transactions:', error);
+            this.transactions = [];
+        }
+        this.updatePeriodSelector();
+        this.writeViewHash();
+        this.updateUI();
+    }
+
+    // Фильтрация транзакций по периоду
+    filterTransactionsByPeriod(allTransactions, period, offset = this.periodOffset) {
+        if (!allTransactions || !Array.isArray(allTransactions)) return [];
+        
+        const range = period === 'all' ? null : this.getPeriodRange(period, offset);
+        
+        return allTransactions.filter(transaction => {
+            if (!transaction || !transaction.date) return false;
+            
+            const transactionDate = new Date(transaction.date);
+            if (isNaN(transactionDate.getTime())) return false;
+            
+            return !range || (transactionDate >= range.start && transactionDate < range.end);
+        });
+    }
+
+    // Дата из ключа YYYY-MM-DD в местном времени
+    fromDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Границы периода [start, end); offset — сколько периодов назад (-) или вперед (+) от текущего
+    getPeriodRange(period = this.currentPeriod, offset = this.periodOffset) {
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = now.getMonth();
+        
+        switch (period) {
+            case 'week': {
+                // Неделя начинается с понедельника
+                const start = new Date(year, month, now.getDate() - (now.getDay() + 6) % 7 + offset * 7);
+                return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+            }
+            case 'month':
+                return { start: new Date(year, month + offset, 1), end: new Date(year, month + offset + 1, 1) };
+            case 'quarter': {
+                const first = month - month % 3 + offset * 3;
+                return { start: new Date(year, first, 1), end: new Date(year, first + 3, 1) };
+            }
+            case 'year':
+                return { start: new Date(year + offset, 0, 1), end: new Date(year + offset + 1, 0, 1) };
+            case 'custom': {
+                // Свой диапазон сдвигается на собственную длину
+                const from = this.fromDateKey(this.customRange.from);
+                const to = this.fromDateKey(this.customRange.to);
+                const days = Math.round((to - from) / 86400000) + 1;
+                return {
+                    start: new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset * days),
+                    end: new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1 + offset * days)
+                };
+            }
+            default: {
+                // Все время: от месяца первой операции до месяца последней, но не раньше текущего
+                const times = this.allTransactions
+                    .map(t => new Date(t?.date).getTime())
+                    .filter(time => !isNaN(time));
+                const first = new Date(Math.min(now.getTime(), ...times));
+                const last = new Date(Math.max(now.getTime(), ...times));
+                return { start: new Date(first.getFullYear(), first.getMonth(), 1), end: new Date(last.getFullYear(), last.getMonth() + 1, 1) };
+            }
+        }
+    }
+
+    // Название периода для подписей «за …»
+    getPeriodLabel(period = this.currentPeriod, offset = this.periodOffset) {
+        if (period === 'all') return 'все время';
+        if (offset === 0 && period !== 'custom') {
+            return { week: 'эту неделю', month: 'этот месяц', quarter: 'этот квартал', year: 'этот год' }[period];
+        }
+        if (offset === -1 && period !== 'custom') {
+            return { week: 'прошлую неделю', month: 'прошлый месяц', quarter: 'прошлый квартал', year: 'прошлый год' }[period];
+        }
+        
+        const { start, end } = this.getPeriodRange(period, offset);
+        switch (period) {
+            case 'month':
+                return start.toLocaleDateString('ru-RU', { month: 'long', year: 'numeric' });
+            case 'quarter':
+                return `${Math.floor(start.getMonth() / 3) + 1}-й квартал ${start.getFullYear()} г.`;
+            case 'year':
+                return `${start.getFullYear()} год`;
+            default:
+                return `период ${this.formatPeriodDates(start, end)}`;
+        }
+    }
+
+    // Даты периода: первый и последний день включительно
+    formatPeriodDates(start, end) {
+        const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+        const from = start.toLocaleDateString('ru-RU');
+        const to = last.toLocaleDateString('ru-RU');
+        return from === to ? from : `${from} – ${to}`;
+    }
+
+    // Обработка добавления транзакции
+    async handleAddTransaction(event) {
+        event.preventDefault();
+        
+        if (!this.currentUser) {
+            this.showError('Сначала войдите в систему');
+            return;
+        }
+        
+        const fields = this.readTransactionForm({
+            type: 'type',
+            amount: 'amount',
+            category: 'category',
+            description: 'description',
+            date: 'date',
+            account: 'account',
+            toAccount: 'toAccount',
+            currency: 'currency',
+            goal: 'goal'
+        });
+        
+        if (fields.error) {
+            this.showError(fields.error);
+            return;
+        }
+        
+        const now = new Date().toISOString();
+        
+        const repeatCheckbox = document.getElementById('repeat');
+        if (repeatCheckbox && repeatCheckbox.checked) {
+            await this.addRecurringRule(fields);
+            return;
+        }
+        
+        const newTransaction = {
+            id: Date.now().toString() + Math.random().toString(36),
+            type: fields.type,
+            amount: fields.amount,
+            currency: fields.currency,
+            category: fields.category,
+            description: fields.description,
+            date: fields.date,
+            accountId: fields.accountId,
+            toAccountId: fields.toAccountId,
+            goalId: fields.goalId,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        try {
+            // Сохраняем транзакцию локально в зашифрованном виде
+            await this.saveUserTransactions({ upserts: [newTransaction] });
+            
+            // Синхронизируем с глобальным хранилищем
+            await this.syncWithGlobal();
+            
+            // Обновляем интерфейс
+            this.loadUserTransactions();
+            
+            // Очищаем форму
+            const transactionForm = document.getElementById('transactionForm');
+            if (transactionForm) transactionForm.reset();
+            
+            // Обновляем категории, валюту и дату
+            this.updateCategories();
+            this.syncCurrencyWithAccount('account', 'currency');
+            this.resetTransactionDate();
+            
+            // Показываем уведомление об успехе
+            this.showSuccess('Транзакция успешно добавлена!');
+            
+        } catch (error) {
+            console.error('Error adding transaction:', error);
+            this.showError('Ошибка при добавлении транзакции');
+        }
+    }
+
+    // Чтение и проверка полей формы транзакции
+    readTransactionForm(ids) {
+        const typeSelect = document.getElementById(ids.type);
+        const amountInput = document.getElementById(ids.amount);
+        const categorySelect = document.getElementById(ids.category);
+        const descriptionInput = document.getElementById(ids.description);
+        const dateInput = document.getElementById(ids.date);
+        const accountSelect = document.getElementById(ids.account);
+        const toAccountSelect = document.getElementById(ids.toAccount);
+        const currencySelect = document.getElementById(ids.currency);
+        const goalSelect = document.getElementById(ids.goal);
+        
+        if (!typeSelect || !amountInput || !categorySelect || !descriptionInput || !dateInput) {
+            return { error: 'Форма транзакции не найдена' };
+        }
+        
+        const type = typeSelect.value;
+        const isTransfer = type === 'transfer';
+        const amountStr = amountInput.value;
+        const category = isTransfer ? '' : categorySelect.value;
+        const description = descriptionInput.value.trim();
+        const dateStr = dateInput.value;
+        const accountId = accountSelect && accountSelect.value ? accountSelect.value : this.getDefaultAccountId();
+        const toAccountId = isTransfer && toAccountSelect ? toAccountSelect.value : null;
+        const currency = currencySelect && currencySelect.value ? currencySelect.value : this.getAccountCurrency(accountId);
+        const goalId = goalSelect && this.getGoal(goalSelect.value) ? goalSelect.value : null;
+        
+        // Валидация
+        if (!type || !amountStr || (!isTransfer && !category) || !description || !dateStr) {
+            return { error: 'Заполните все поля' };
+        }
+        
+        if (isTransfer && (!toAccountId || toAccountId === accountId)) {
+            return { error: 'Выберите разные счета для перевода' };
+        }
+        
+        const amount = parseFloat(amountStr);
+        
+        if (isNaN(amount) || amount <= 0) {
+            return { error: 'Введите корректную сумму' };
+        }
+        
+        // datetime-local задается в локальном времени
+        const date = new Date(dateStr);
+        
+        if (isNaN(date.getTime())) {
+            return { error: 'Введите корректную дату' };
+        }
+        
+        // Операция в чужой валюте должна пересчитываться в валюту счетов
+        const targets = [this.getAccountCurrency(accountId), this.getBaseCurrency()];
+        if (isTransfer) targets.push(this.getAccountCurrency(toAccountId));
+        const missing = targets.find(target => this.convertAmount(amount, currency, target, date) === null);
+        if (missing) {
+            return { error: `Добавьте курс ${currency} → ${missing} на дату операции` };
+        }
+        
+        return { type, amount, currency, category, description, date: date.toISOString(), accountId, toAccountId, goalId };
+    }
+
+    // Значение для поля datetime-local
+    toDateTimeInputValue(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // Установка текущей даты в форме транзакции
+    resetTransactionDate() {
+        const dateInput = document.getElementById('date');
+        if (dateInput) dateInput.value = this.toDateTimeInputValue(new Date());
+    }
+
+    // Показать модальное окно редактирования
+    showEditModal(transactionId) {
+        const transaction = this.allTransactions.find(t => t.id === transactionId);
+        if (!transaction) return;
+        
+        this.transactionToEdit = transaction;
+        this.occurrenceToEdit = null;
+        this.fillEditForm(transaction);
+    }
+
+    // Заполнение формы и открытие окна редактирования
+    fillEditForm(transaction) {
+        const typeSelect = document.getElementById('editType');
+        const amountInput = document.getElementById('editAmount');
+        const categorySelect = document.getElementById('editCategory');
+        const descriptionInput = document.getElementById('editDescription');
+        const dateInput = document.getElementById('editDate');
+        
+        if (typeSelect) typeSelect.value = transaction.type;
+        // Счета из архива остаются доступными для уже записанных транзакций
+        this.editAccountIds = [this.getTransactionAccountId(transaction), transaction.toAccountId].filter(Boolean);
+        this.updateEditCategories();
+        if (amountInput) amountInput.value = transaction.amount;
+        
+        const accountSelect = document.getElementById('editAccount');
+        const toAccountSelect = document.getElementById('editToAccount');
+        if (accountSelect) accountSelect.value = this.getTransactionAccountId(transaction);
+        if (toAccountSelect) toAccountSelect.value = transaction.toAccountId || '';
+        
+        const currencySelect = document.getElementById('editCurrency');
+        if (currencySelect) currencySelect.value = this.getTransactionCurrency(transaction);
+        if (categorySelect && transaction.type !== 'transfer') {
+            // Категория могла быть удалена из списка, но должна остаться доступной
+            if (![...categorySelect.options].some(option => option.value === transaction.category)) {
+                const option = document.createElement('option');
+                option.value = transaction.category;
+                option.textContent = transaction.category;
+                categorySelect.appendChild(option);
+            }
+            categorySelect.value = transaction.category;
+        }
+        if (descriptionInput) descriptionInput.value = transaction.description || '';
+        this.fillGoalSelect('editGoal', transaction.goalId);
+        if (dateInput) {
+            const date = new Date(transaction.date);
+            dateInput.value = isNaN(date.getTime()) ? this.toDateTimeInputValue(new Date()) : this.toDateTimeInputValue(date);
+        }
+        
+        this.hideEditError();
+        
+        const modal = document.getElementById('editModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть модальное окно редактирования
+    closeEditModal() {
+        const modal = document.getElementById('editModal');
+        if (modal) modal.classList.remove('active');
+        this.transactionToEdit = null;
+        this.occurrenceToEdit = null;
+        this.editAccountIds = [];
+    }
+
+    // Показать ошибку в окне редактирования
+    showEditError(message) {
+        const errorEl = document.getElementById('editError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
+        }
+    }
+
+    // Скрыть ошибку в окне редактирования
+    hideEditError() {
+        const errorEl = document.getElementById('editError');
+        if (errorEl) errorEl.classList.remove('show');
+    }
+
+    // Сохранение изменений транзакции
+    async handleEditTransaction(event) {
+        event.preventDefault();
+        
+        if (!this.currentUser || (!this.transactionToEdit && !this.occurrenceToEdit)) return;
+        
+        const fields = this.readTransactionForm({
+            type: 'editType',
+            amount: 'editAmount',
+            category: 'editCategory',
+            description: 'editDescription',
+            date: 'editDate',
+            account: 'editAccount',
+            toAccount: 'editToAccount',
+            currency: 'editCurrency',
+            goal: 'editGoal'
+        });
+        
+        if (fields.error) {
+            this.showEditError(fields.error);
+            return;
+        }
+        
+        if (this.occurrenceToEdit) {
+            await this.saveOccurrenceOverride(fields);
+            return;
+        }
+        
+        const transactionId = this.transactionToEdit.id;
+        const now = new Date().toISOString();
+        
+        try {
+            const transaction = this.allTransactions.find(t => t.id === transactionId) || this.transactionToEdit;
+            await this.saveUserTransactions({
+                upserts: [{
+                    ...transaction,
+                    ...fields,
+                    createdAt: transaction.createdAt || transaction.date,
+                    updatedAt: now
+                }]
+            });
+            
+            // Синхронизируем с глобальным хранилищем
+            await this.syncWithGlobal();
+            
+            this.closeEditModal();
+            this.loadUserTransactions();
+            this.showSyncNotification('Транзакция обновлена');
+        } catch (error) {
+            console.error('Error editing transaction:', error);
+            this.showEditError('Ошибка при сохранении транзакции');
+        }
+    }
+
+    // Показать или скрыть параметры повторения
+    toggleRecurringOptions() {
+        const repeatCheckbox = document.getElementById('repeat');
+        const options = document.getElementById('recurringOptions');
+        if (options) options.classList.toggle('show', !!repeatCheckbox?.checked);
+    }
+
+    // Ключ даты в формате YYYY-MM-DD (локальное время)
+    toDateKey(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Дата n-го повторения правила
+    getOccurrenceDate(startDate, frequency, index) {
+        const start = new Date(startDate);
+        const date = new Date(start);
+        
+        switch (frequency) {
+            case 'daily':
+                date.setDate(start.getDate() + index);
+                break;
+            case 'weekly':
+                date.setDate(start.getDate() + index * 7);
+                break;
+            case 'monthly':
+            case 'yearly': {
+                // 31-е число в коротком месяце переносится на последний день месяца
+                const months = frequency === 'monthly' ? index : index * 12;
+                date.setDate(1);
+                date.setMonth(start.getMonth() + months);
+                const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                date.setDate(Math.min(start.getDate(), lastDay));
+                break;
+            }
+            default:
+                return null;
+        }
+        
+        return date;
+    }
+
+    // Повторения правила до указанной даты
+    getRuleOccurrences(rule, until) {
+        const occurrences = [];
+        const maxCount = rule.count || Infinity;
+        
+        for (let index = 0; index < maxCount && index < 10000; index++) {
+            const date = this.getOccurrenceDate(rule.startDate, rule.frequency, index);
+            if (!date || date > until) break;
+            // Дата окончания хранится ключом дня и сравнивается без перевода в UTC
+            if (rule.endDate && this.toDateKey(date) > rule.endDate) break;
+            
+            occurrences.push({ key: this.toDateKey(date), date });
+        }
+        
+        return occurrences;
+    }
+
+    // Транзакция для конкретного повторения с учетом изменений
+    buildOccurrenceTransaction(rule, occurrence) {
+        const override = rule.exceptions?.[occurrence.key] || {};
+        // Измененное повторение хранит полный набор полей
+        const source = override.type ? override : rule;
+        return {
+            id: `recurring_${rule.id}_${occurrence.key}`,
+            type: source.type,
+            amount: source.amount,
+            currency: source.currency || null,
+            category: source.category,
+            description: source.description,
+            accountId: source.accountId || null,
+            toAccountId: source.toAccountId || null,
+            goalId: source.goalId || null,
+            date: override.date || occurrence.date.toISOString(),
+            recurringId: rule.id,
+            occurrenceKey: occurrence.key
+        };
+    }
+
+    // Наступившие повторения, которых еще нет в списке транзакций
+    getDueRecurringTransactions() {
+        const rules = this.getUserCollection('recurring');
+        if (rules.length === 0) return [];
+        
+        const now = new Date();
+        const existingIds = new Set(this.allTransactions.map(t => t.id));
+        const createdAt = now.toISOString();
+        const dueTransactions = [];
+        
+        rules.forEach(rule => {
+            this.getRuleOccurrences(rule, now).forEach(occurrence => {
+                if (rule.exceptions?.[occurrence.key]?.skip) return;
+                
+                const transaction = this.buildOccurrenceTransaction(rule, occurrence);
+                if (existingIds.has(transaction.id) || new Date(transaction.date) > now) return;
+                
+                dueTransactions.push({ ...transaction, createdAt, updatedAt: createdAt });
+            });
+        });
+        
+        return dueTransactions;
+    }
+
+    // Ближайшие повторения для отображения
+    getUpcomingOccurrences(days = 30, limit = 10) {
+        const now = new Date();
+        const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+        const existingIds = new Set(this.allTransactions.map(t => t.id));
+        const upcoming = [];
+        
+        this.getUserCollection('recurring').forEach(rule => {
+            this.getRuleOccurrences(rule, until).forEach(occurrence => {
+                const transaction = this.buildOccurrenceTransaction(rule, occurrence);
+                if (existingIds.has(transaction.id) || new Date(transaction.date) <= now) return;
+                
+                upcoming.push({
+                    ...transaction,
+                    skipped: !!rule.exceptions?.[occurrence.key]?.skip,
+                    overridden: !!rule.exceptions?.[occurrence.key] && !rule.exceptions[occurrence.key].skip
+                });
+            });
+        });
+        
+        return upcoming
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .slice(0, limit);
+    }
+
+    // Создание правила повторения из формы транзакции
+    async addRecurringRule(fields) {
+        const frequencySelect = document.getElementById('frequency');
+        const repeatUntilInput = document.getElementById('repeatUntil');
+        const repeatCountInput = document.getElementById('repeatCount');
+        
+        const frequency = frequencySelect ? frequencySelect.value : 'monthly';
+        const endDate = repeatUntilInput && repeatUntilInput.value ? repeatUntilInput.value : null;
+        const count = repeatCountInput && repeatCountInput.value ? parseInt(repeatCountInput.value, 10) : null;
+        
+        if (count !== null && (isNaN(count) || count < 1)) {
+            this.showError('Введите корректное количество повторов');
+            return;
+        }
+        
+        if (endDate && endDate < this.toDateKey(new Date(fields.date))) {
+            this.showError('Дата окончания раньше даты начала');
+            return;
+        }
+        
+        const now = new Date().toISOString();
+        const rule = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 6),
+            type: fields.type,
+            amount: fields.amount,
+            currency: fields.currency,
+            category: fields.category,
+            description: fields.description,
+            accountId: fields.accountId,
+            toAccountId: fields.toAccountId,
+            goalId: fields.goalId,
+            frequency,
+            startDate: fields.date,
+            endDate,
+            count,
+            exceptions: {},
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        try {
+            await this.saveUserCollection('recurring', [...this.getUserCollection('recurring'), rule]);
+            this.loadUserTransactions();
+            
+            const transactionForm = document.getElementById('transactionForm');
+            if (transactionForm) transactionForm.reset();
+            this.updateCategories();
+            this.syncCurrencyWithAccount('account', 'currency');
+            this.resetTransactionDate();
+            this.toggleRecurringOptions();
+            
+            this.showSuccess('Регулярный платеж создан!');
+        } catch (error) {
+            console.error('Error adding recurring rule:', error);
+            this.showError('Ошибка при создании регулярного платежа');
+        }
+    }
+
+    // Удаление правила (созданные транзакции сохраняются)
+    async deleteRecurringRule(ruleId) {
+        try {
+            const rules = this.getUserCollection('recurring').filter(rule => rule.id !== ruleId);
+            await this.saveUserCollection('recurring', rules);
+            this.updateUI();
+            this.showSyncNotification('Регулярный платеж остановлен');
+        } catch (error) {
+            console.error('Error deleting recurring rule:', error);
+            this.showError('Ошибка при удалении регулярного платежа');
+        }
+    }
+
+    // Установка исключения для одного повторения
+    async setOccurrenceException(ruleId, key, exception) {
+        const rules = this.getUserCollection('recurring').map(rule => {
+            if (rule.id !== ruleId) return rule;
+            
+            const exceptions = { ...(rule.exceptions || {}) };
+            if (exception) {
+                exceptions[key] = exception;
+            } else {
+                delete exceptions[key];
+            }
+            return { ...rule, exceptions, updatedAt: new Date().toISOString() };
+        });
+        
+        await this.saveUserCollection('recurring', rules);
+    }
+
+    // Пропуск повторения или его возврат
+    async toggleOccurrenceSkip(ruleId, key) {
+        const rule = this.getUserCollection('recurring').find(r => r.id === ruleId);
+        if (!rule) return;
+        
+        try {
+            const skipped = rule.exceptions?.[key]?.skip;
+            await this.setOccurrenceException(ruleId, key, skipped ? null : { skip: true });
+            this.loadUserTransactions();
+        } catch (error) {
+            console.error('Error updating occurrence:', error);
+            this.showError('Ошибка при изменении регулярного платежа');
+        }
+    }
+
+    // Показать окно изменения одного повторения
+    showOccurrenceModal(ruleId, key) {
+        const rule = this.getUserCollection('recurring').find(r => r.id === ruleId);
+        if (!rule) return;
+        
+        const occurrence = this.getRuleOccurrences(rule, new Date(8640000000000000)).find(o => o.key === key);
+        if (!occurrence) return;
+        
+        this.transactionToEdit = null;
+        this.occurrenceToEdit = { ruleId, key };
+        this.fillEditForm(this.buildOccurrenceTransaction(rule, occurrence));
+    }
+
+    // Сохранение изменений одного повторения
+    async saveOccurrenceOverride(fields) {
+        const { ruleId, key } = this.occurrenceToEdit;
+        
+        try {
+            await this.setOccurrenceException(ruleId, key, { ...fields });
+            this.closeEditModal();
+            this.loadUserTransactions();
+            this.showSyncNotification('Платеж изменен');
+        } catch (error) {
+            console.error('Error saving occurrence override:', error);
+            this.showEditError('Ошибка при сохранении платежа');
+        }
+    }
+
+    // Отображение правил и ближайших платежей
+    renderRecurring() {
+        const recurringCard = document.getElementById('recurringCard');
+        const rulesList = document.getElementById('recurringRulesList');
+        const upcomingList = document.getElementById('upcomingList');
+        if (!recurringCard || !rulesList || !upcomingList) return;
+        
+        const rules = this.getUserCollection('recurring');
+        if (rules.length === 0) {
+            recurringCard.style.display = 'none';
+            return;
+        }
+        
+        recurringCard.style.display = 'block';
+        
+        const frequencyLabels = {
+            daily: 'Ежедневно',
+            weekly: 'Еженедельно',
+            monthly: 'Ежемесячно',
+            yearly: 'Ежегодно'
+        };
+        
+        const actionsStyle = { display: 'flex', alignItems: 'center', gap: '12px' };
+        setChildren(rulesList, rules.map(rule => {
+            const limits = [];
+            if (rule.endDate) limits.push(`до ${new Date(`${rule.endDate}T00:00`).toLocaleDateString()}`);
+            if (rule.count) limits.push(`${rule.count} раз`);
+            return h('div', { class: 'transaction-item' },
+                h('div', { class: 'transaction-info' },
+                    h('div', { class: 'transaction-description' }, rule.description),
+                    h('div', { class: 'transaction-meta' },
+                        `${this.getTransactionLabel(rule)} • ${frequencyLabels[rule.frequency]}${limits.length ? ' • ' + limits.join(', ') : ''}`
+                    )
+                ),
+                h('div', { style: actionsStyle },
+                    h('div', { class: ['transaction-amount', this.getAmountClass(rule.type)] }, this.formatSignedAmount(rule)),
+                    h('button', { class: 'delete-btn', title: 'Остановить', dataset: { action: 'deleteRecurringRule', args: JSON.stringify([rule.id]) } }, '🗑️')
+                )
+            );
+        }));
+        
+        const upcoming = this.getUpcomingOccurrences();
+        if (upcoming.length === 0) {
+            setChildren(upcomingList, h('div', { class: 'empty-state' }, h('p', {}, 'Нет платежей в ближайшие 30 дней')));
+            return;
+        }
+        
+        setChildren(upcomingList, upcoming.map(occurrence => {
+            const args = JSON.stringify([occurrence.recurringId, occurrence.occurrenceKey]);
+            return h('div', { class: ['transaction-item', occurrence.skipped && 'skipped'] },
+                h('div', { class: 'transaction-info' },
+                    h('div', { class: 'transaction-description' }, `${occurrence.description}${occurrence.overridden ? ' ✎' : ''}`),
+                    h('div', { class: 'transaction-meta' }, `${new Date(occurrence.date).toLocaleDateString()}${occurrence.skipped ? ' • пропущен' : ''}`)
+                ),
+                h('div', { style: actionsStyle },
+                    h('div', { class: ['transaction-amount', this.getAmountClass(occurrence.type)] }, this.formatSignedAmount(occurrence)),
+                    h('button', { class: 'edit-btn', title: 'Изменить', dataset: { action: 'showOccurrenceModal', args } }, '✏️'),
+                    h('button', { class: 'edit-btn', title: occurrence.skipped ? 'Вернуть' : 'Пропустить', dataset: { action: 'toggleOccurrenceSkip', args } },
+                        occurrence.skipped ? '↩️' : '⏭️'
+                    )
+                )
+            );
+        }));
+    }
+
+    // Ключ месяца в формате YYYY-MM
+    getMonthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    // Месяц бюджетов для выбранного периода: последний месяц периода, но не позже текущего
+    getBudgetMonthKey() {
+        const { end } = this.getPeriodRange();
+        return this.getMonthKey(new Date(Math.min(Date.now(), end.getTime() - 1)));
+    }
+
+    // Название месяца по ключу, например «октябрь 2026 г.»
+    formatMonthKey(monthKey) {
+        const [year, month] = monthKey.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('ru-RU', { month: 'long', year: 'numeric' });
+    }
+
+    // Ключ соседнего месяца
+    shiftMonthKey(monthKey, offset) {
+        const [year, month] = monthKey.split('-').map(Number);
+        return this.getMonthKey(new Date(year, month - 1 + offset, 1));
+    }
+
+    // Расходы по категории за месяц
+    getCategorySpent(category, monthKey, transactions = this.allTransactions) {
+        return transactions
+            .filter(t => t && t.type === 'expense' && this.isCategoryOrChild(t.category, category) && t.date &&
+                         this.getMonthKey(new Date(t.date)) === monthKey)
+            .reduce((sum, t) => sum + (this.toBaseAmount(t) ?? 0), 0);
+    }
+
+    // Лимит на месяц с учетом перенесенного остатка
+    getBudgetLimit(category, monthKey, transactions = this.allTransactions) {
+        const budget = this.getUserCollection('budgets')[category];
+        if (!budget) return 0;
+        if (!budget.rollover) return budget.amount;
+        
+        // Переносим неизрасходованный остаток с месяца начала действия бюджета
+        let limit = budget.amount;
+        for (let key = budget.since; key < monthKey; key = this.shiftMonthKey(key, 1)) {
+            const unused = Math.max(0, limit - this.getCategorySpent(category, key, transactions));
+            limit = budget.amount + unused;
+        }
+        return limit;
+    }
+
+    // Состояние бюджета категории за месяц; transactions — по каким операциям считать расход
+    getBudgetStatus(category, monthKey, transactions = this.allTransactions) {
+        const budget = this.getUserCollection('budgets')[category];
+        if (!budget || monthKey < budget.since) return null;
+        
+        const limit = this.getBudgetLimit(category, monthKey, transactions);
+        const spent = this.getCategorySpent(category, monthKey, transactions);
+        return { limit, spent, ratio: limit > 0 ? spent / limit : 1 };
+    }
+
+    // Бюджеты, в которые попадают записанные расходы: категория или ее родитель и месяц операции
+    getAffectedBudgets(records) {
+        const categories = Object.keys(this.getUserCollection('budgets'));
+        const affected = new Map();
+        records.filter(t => !t.deleted && t.type === 'expense' && t.date).forEach(t => {
+            const monthKey = this.getMonthKey(new Date(t.date));
+            categories.filter(category => this.isCategoryOrChild(t.category, category)).forEach(category => {
+                affected.set(`${category}|${monthKey}`, { category, monthKey });
+            });
+        });
+        return [...affected.values()];
+    }
+
+    // Предупреждение при пересечении 80% и 100% бюджета
+    checkBudgetThresholds(category, before, after) {
+        if (!after) return;
+        
+        if (before.ratio < 1 && after.ratio >= 1) {
+            const message = `Бюджет «${category}» превышен: ${this.formatMoney(after.spent)} из ${this.formatMoney(after.limit)}`;
+            this.showError(message);
+            this.showSyncNotification(`⚠️ ${message}`, true);
+        } else if (before.ratio < 0.8 && after.ratio >= 0.8) {
+            this.showSyncNotification(`⚠️ Израсходовано ${Math.round(after.ratio * 100)}% бюджета «${category}»`, true);
+        }
+    }
+
+    // Разметка полосы прогресса бюджета; month — подпись месяца, если он не очевиден из контекста
+    renderBudgetProgress(status, month) {
+        const percent = Math.min(100, Math.round(status.ratio * 100));
+        const level = status.ratio >= 1 ? 'over' : status.ratio >= 0.8 ? 'warning' : '';
+        return [
+            h('div', { class: ['budget-progress', level] },
+                h('div', { class: 'budget-progress-bar', style: { width: `${percent}%` } })
+            ),
+            h('div', { class: 'budget-progress-label' }, `${this.formatMoney(status.spent)} из ${this.formatMoney(status.limit)}${month ? ` за ${month}` : ''}`)
+        ];
+    }
+
+    // Сохранение бюджета категории
+    async handleSetBudget(event) {
+        event.preventDefault();
+        
+        if (!this.currentUser) return;
+        
+        const categorySelect = document.getElementById('budgetCategory');
+        const amountInput = document.getElementById('budgetAmount');
+        const rolloverCheckbox = document.getElementById('budgetRollover');
+        
+        if (!categorySelect || !amountInput) {
+            this.showError('Форма бюджета не найдена');
+            return;
+        }
+        
+        const category = categorySelect.value;
+        const amount = parseFloat(amountInput.value);
+        
+        if (!category) {
+            this.showError('Выберите категорию');
+            return;
+        }
+        
+        if (isNaN(amount) || amount <= 0) {
+            this.showError('Введите корректную сумму');
+            return;
+        }
+        
+        const budgets = { ...this.getUserCollection('budgets') };
+        budgets[category] = {
+            amount,
+            rollover: !!rolloverCheckbox?.checked,
+            since: budgets[category]?.since || this.getMonthKey(new Date()),
+            updatedAt: new Date().toISOString()
+        };
+        
+        try {
+            await this.saveUserCollection('budgets', budgets);
+            
+            const budgetForm = document.getElementById('budgetForm');
+            if (budgetForm) budgetForm.reset();
+            
+            this.updateUI();
+            this.showSyncNotification('Бюджет сохранен');
+        } catch (error) {
+            console.error('Error saving budget:', error);
+            this.showError('Ошибка при сохранении бюджета');
+        }
+    }
+
+    // Удаление бюджета категории
+    async deleteBudget(category) {
+        const budgets = { ...this.getUserCollection('budgets') };
+        delete budgets[category];
+        
+        try {
+            await this.saveUserCollection('budgets', budgets);
+            this.updateUI();
+        } catch (error) {
+            console.error('Error deleting budget:', error);
+            this.showError('Ошибка при удалении бюджета');
+        }
+    }
+
+    // Отображение бюджетов текущего месяца
+    renderBudgets() {
+        const categorySelect = document.getElementById('budgetCategory');
+        const budgetsList = document.getElementById('budgetsList');
         
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
+        if (categorySelect) {
+            const selected = categorySelect.value;
+            categorySelect.innerHTML = '<option value="">Выберите категорию</option>';
+            this.getCategories('expense').forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.path;
+                option.textContent = `${category.icon} ${category.path}`;
+                categorySelect.appendChild(option);
+            });
+            categorySelect.value = selected;
+        }
+        
+        if (!budgetsList) return;
+        
+        const monthKey = this.getBudgetMonthKey();
+        const description = document.getElementById('budgetsDescription');
+        if (description) description.textContent = `Лимиты расходов по категориям на ${this.formatMonthKey(monthKey)}`;
+        const budgets = Object.entries(this.getUserCollection('budgets'));
+        
+        if (budgets.length === 0) {
+            setChildren(budgetsList, h('div', { class: 'empty-state' }, h('p', {}, 'Бюджеты не заданы')));
+            return;
+        }
+        
+        setChildren(budgetsList, budgets.map(([category, budget]) => {
+            const status = this.getBudgetStatus(category, monthKey);
+            return h('div', { class: 'budget-item' },
+                h('div', { class: 'budget-header' },
+                    h('span', {},
+                        `${this.getCategoryIcon(category)} ${category}`,
+                        budget.rollover ? [' ', h('span', { class: 'budget-badge' }, 'перенос остатка')] : null
+                    ),
+                    h('button', { class: 'delete-btn', title: 'Удалить бюджет', dataset: { action: 'deleteBudget', args: JSON.stringify([category]) } }, '🗑️')
+                ),
+                status ? this.renderBudgetProgress(status) : null
+            );
+        }));
+    }
+
+    // Цель накоплений по идентификатору
+    getGoal(goalId) {
+        return goalId ? this.getUserCollection('goals').find(goal => goal.id === goalId) || null : null;
+    }
+
+    // Прогресс цели: накоплено, средний темп взносов и прогноз даты достижения.
+    // Расход или перевод, привязанный к цели, пополняет ее, доход — снятие из нее
+    getGoalProgress(goal, now = new Date()) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const linked = this.allTransactions.filter(t => t.goalId === goal.id);
+        const withdrawals = linked.filter(t => t.type === 'income');
+        const contributed = linked.reduce((sum, t) => {
+            const amount = this.toBaseAmount(t) ?? t.amount ?? 0;
+            return t.type === 'income' ? sum - amount : sum + amount;
+        }, 0);
+        const saved = (goal.initialAmount || 0) + contributed;
+        const remaining = Math.max(0, goal.targetAmount - saved);
+        const percent = Math.min(100, Math.max(0, saved / goal.targetAmount * 100));
+        
+        // Темп считаем по чистой сумме взносов от создания цели или первой операции, но не меньше
+        // чем за месяц, чтобы один свежий взнос не давал слишком оптимистичный прогноз
+        const start = Math.min(new Date(goal.createdAt).getTime() || now.getTime(), ...linked.map(t => new Date(t.date).getTime()));
+        const days = Math.max(30, (now.getTime() - start) / dayMs);
+        const dailyRate = contributed > 0 ? contributed / days : 0;
+        const projected = remaining > 0 && dailyRate > 0 ? new Date(now.getTime() + remaining / dailyRate * dayMs) : null;
+        
+        const today = this.toDateKey(now);
+        let status = 'ok';
+        if (remaining === 0) {
+            status = 'done';
+        } else if (goal.deadline && goal.deadline < today) {
+            status = 'overdue';
+        } else if (goal.deadline && (!projected || this.toDateKey(projected) > goal.deadline)) {
+            status = 'risk';
+        }
+        
+        // Сколько нужно откладывать в месяц, чтобы успеть к сроку
+        const monthsLeft = goal.deadline ? (this.fromDateKey(goal.deadline).getTime() + dayMs - now.getTime()) / (30.44 * dayMs) : 0;
+        const requiredMonthly = status === 'risk' ? remaining / Math.max(1, monthsLeft) : null;
+        
+        return {
+            saved,
+            remaining,
+            percent,
+            count: linked.length - withdrawals.length,
+            withdrawals: withdrawals.length,
+            monthlyRate: dailyRate * 30.44,
+            projected,
+            status,
+            requiredMonthly
+        };
+    }
+
+    // Карточки целей рядом с итогами
+    renderGoals() {
+        const list = document.getElementById('goalsList');
+        if (!list) return;
+        
+        this.fillGoalSelect('goal');
+        
+        const goals = this.getUserCollection('goals');
+        if (goals.length === 0) {
+            setChildren(list, h('div', { class: 'empty-state goals-empty' },
+                h('p', {}, 'Копите на отпуск или новый ноутбук? Создайте цель и привязывайте к ней взносы.')
+            ));
+            return;
+        }
+        
+        const formatDate = (date) => date.toLocaleDateString('ru-RU');
+        setChildren(list, goals.map(goal => {
+            const progress = this.getGoalProgress(goal);
+            const args = JSON.stringify([goal.id]);
+            
+            let forecast;
+            if (progress.status === 'done') {
+                forecast = '🎉 Цель достигнута';
+            } else if (progress.projected) {
+                forecast = `Прогноз: ${formatDate(progress.projected)} • ~${this.formatMoney(progress.monthlyRate)} в месяц`;
+            } else {
+                forecast = progress.count > 0 ? 'Снятия перекрывают взносы — прогноза нет' : 'Прогноз появится после первого взноса';
+            }
+            
+            let warning = null;
+            if (progress.status === 'overdue') {
+                warning = `Срок прошел, осталось накопить ${this.formatMoney(progress.remaining)}`;
+            } else if (progress.status === 'risk') {
+                warning = `Можно не успеть к сроку: нужно откладывать ~${this.formatMoney(progress.requiredMonthly)} в месяц`;
+            }
+            
+            return h('div', { class: ['goal-item', progress.status] },
+                h('div', { class: 'goal-header' },
+                    h('span', { class: 'goal-name' }, goal.name),
+                    h('span', { class: 'goal-actions' },
+                        h('button', { type: 'button', class: 'edit-btn', title: 'Изменить', dataset: { action: 'showGoalModal', args } }, '✏️'),
+                        h('button', { type: 'button', class: 'delete-btn', title: 'Удалить цель', dataset: { action: 'deleteGoal', args } }, '🗑️')
+                    )
+                ),
+                h('div', { class: 'goal-progress' },
+                    h('div', { class: 'goal-progress-bar', style: { width: `${progress.percent}%` } })
+                ),
+                h('div', { class: 'goal-amounts' },
+                    `${this.formatMoney(progress.saved)} из ${this.formatMoney(goal.targetAmount)} • ${Math.floor(progress.percent)}%`
+                ),
+                h('div', { class: 'goal-meta' },
+                    `Взносов: ${progress.count}${progress.withdrawals > 0 ? ` • снятий: ${progress.withdrawals}` : ''}${goal.deadline ? ` • срок ${formatDate(this.fromDateKey(goal.deadline))}` : ''}`
+                ),
+                h('div', { class: 'goal-forecast' }, forecast),
+                warning ? h('div', { class: 'goal-warning' }, `⚠️ ${warning}`) : null
+            );
+        }));
+    }
+
+    // Список целей в форме транзакции; поле скрыто, пока целей нет
+    fillGoalSelect(selectId, value) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        const goals = this.getUserCollection('goals');
+        const selected = value !== undefined ? value || '' : select.value;
+        setChildren(select,
+            h('option', { value: '' }, 'Без цели'),
+            goals.map(goal => h('option', { value: goal.id }, goal.name))
+        );
+        select.value = goals.some(goal => goal.id === selected) ? selected : '';
+        
+        const group = select.closest('.form-group');
+        if (group) group.style.display = goals.length > 0 ? '' : 'none';
+    }
+
+    // Окно создания или изменения цели
+    showGoalModal(goalId = null) {
+        const goal = this.getGoal(goalId);
+        const form = document.getElementById('goalForm');
+        if (form) form.reset();
+        
+        document.getElementById('goalId').value = goal ? goal.id : '';
+        document.getElementById('goalName').value = goal ? goal.name : '';
+        document.getElementById('goalTarget').value = goal ? goal.targetAmount : '';
+        document.getElementById('goalInitial').value = goal && goal.initialAmount ? goal.initialAmount : '';
+        document.getElementById('goalDeadline').value = goal ? goal.deadline : '';
+        
+        const title = document.getElementById('goalModalTitle');
+        if (title) title.textContent = goal ? 'Изменить цель' : 'Новая цель';
+        const errorEl = document.getElementById('goalError');
+        if (errorEl) errorEl.classList.remove('show');
+        
+        const modal = document.getElementById('goalModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно цели
+    closeGoalModal() {
+        const modal = document.getElementById('goalModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Показать ошибку в окне цели
+    showGoalError(message) {
+        const errorEl = document.getElementById('goalError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
+        }
+    }
+
+    // Сохранение цели
+    async handleSaveGoal(event) {
+        event.preventDefault();
+        
+        if (!this.currentUser) return;
+        
+        const id = document.getElementById('goalId')?.value;
+        const name = (document.getElementById('goalName')?.value || '').trim();
+        const targetAmount = parseFloat(document.getElementById('goalTarget')?.value);
+        const initialAmount = parseFloat(document.getElementById('goalInitial')?.value || '0');
+        const deadline = document.getElementById('goalDeadline')?.value || '';
+        
+        if (!name) {
+            this.showGoalError('Введите название цели');
+            return;
+        }
+        
+        if (isNaN(targetAmount) || targetAmount <= 0) {
+            this.showGoalError('Введите корректную сумму цели');
+            return;
+        }
+        
+        if (isNaN(initialAmount) || initialAmount < 0) {
+            this.showGoalError('Введите корректную накопленную сумму');
+            return;
+        }
+        
+        const goals = this.getUserCollection('goals');
+        if (goals.some(goal => goal.id !== id && goal.name.toLowerCase() === name.toLowerCase())) {
+            this.showGoalError('Цель с таким названием уже существует');
+            return;
+        }
+        
+        const now = new Date().toISOString();
+        const fields = {
+            name,
+            targetAmount: Math.round(targetAmount * 100) / 100,
+            initialAmount: Math.round(initialAmount * 100) / 100,
+            deadline,
+            updatedAt: now
+        };
+        const updated = id
+            ? goals.map(goal => goal.id === id ? { ...goal, ...fields } : goal)
+            : [...goals, { id: 'goal_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5), ...fields, createdAt: now }];
+        
+        try {
+            await this.saveUserCollection('goals', updated);
+            this.closeGoalModal();
+            this.renderGoals();
+            this.showSyncNotification(id ? 'Цель обновлена' : 'Цель создана');
+        } catch (error) {
+            console.error('Error saving goal:', error);
+            this.showGoalError('Ошибка при сохранении цели');
+        }
+    }
+
+    // Подтверждение удаления цели
+    deleteGoal(goalId) {
+        const goal = this.getGoal(goalId);
+        if (!goal) return;
+        
+        this.showConfirmModal({
+            title: 'Удалить цель?',
+            description: `Цель «${goal.name}» будет удалена. Привязанные к ней транзакции останутся в истории.`,
+            onConfirm: () => this.removeGoal(goalId)
+        });
+    }
+
+    // Удаление цели с отвязкой транзакций и регулярных платежей
+    async removeGoal(goalId) {
+        try {
+            await this.saveUserCollection('goals', this.getUserCollection('goals').filter(g => g.id !== goalId));
+            
+            const rules = this.getUserCollection('recurring');
+            if (rules.some(rule => rule.goalId === goalId)) {
+                await this.saveUserCollection('recurring', rules.map(rule => rule.goalId === goalId ? { ...rule, goalId: null } : rule));
+            }
+            
+            const now = new Date().toISOString();
+            const linked = this.allTransactions.filter(t => t.goalId === goalId);
+            if (linked.length > 0) {
+                await this.saveUserTransactions({ upserts: linked.map(t => ({ ...t, goalId: null, updatedAt: now })) });
+                await this.syncWithGlobal();
+            }
+            
+            this.loadUserTransactions();
+            this.showSyncNotification('Цель удалена');
+        } catch (error) {
+            console.error('Error deleting goal:', error);
+            this.showError('Ошибка при удалении цели');
+        }
+    }
+
+    // Удаление транзакций в корзину; сразу после удаления его можно отменить
+    async deleteTransactions(transactionIds) {
+        if (!this.currentUser) return;
+        
+        const ids = new Set(transactionIds);
+        const deleted = this.allTransactions.filter(t => ids.has(t.id));
+        if (deleted.length === 0) return;
+        
+        try {
+            // Удаленный регулярный платеж не должен появиться снова
+            await this.setOccurrenceSkips(deleted, true);
+            
+            await this.saveUserTransactions({ deletes: deleted.map(t => t.id) });
+            deleted.forEach(t => this.selectedTransactions.delete(t.id));
+            
+            // Синхронизируем с глобальным хранилищем
+            await this.syncWithGlobal();
+            
+            // Обновляем интерфейс
+            this.loadUserTransactions();
+            
+            this.showUndo(
+                deleted.length === 1 ? 'Транзакция перемещена в корзину' : `В корзину перемещено: ${deleted.length}`,
+                () => this.restoreTransactions(deleted.map(t => t.id))
+            );
+        } catch (error) {
+            console.error('Error deleting transaction:', error);
+            this.showError('Ошибка при удалении транзакции');
+        }
+    }
+
+    // Пропуск повторений удаленных регулярных платежей или его отмена при восстановлении
+    async setOccurrenceSkips(transactions, skip) {
+        const keys = new Map();
+        transactions.filter(t => t.recurringId).forEach(t => {
+            keys.set(t.recurringId, [...(keys.get(t.recurringId) || []), t.occurrenceKey]);
+        });
+        if (keys.size === 0) return;
+        
+        const now = new Date().toISOString();
+        const rules = this.getUserCollection('recurring').map(rule => {
+            if (!keys.has(rule.id)) return rule;
+            
+            const exceptions = { ...(rule.exceptions || {}) };
+            keys.get(rule.id).forEach(key => {
+                if (skip) {
+                    exceptions[key] = { skip: true };
+                } else if (exceptions[key]?.skip) {
+                    delete exceptions[key];
+                }
+            });
+            return { ...rule, exceptions, updatedAt: now };
+        });
+        
+        await this.saveUserCollection('recurring', rules);
+    }
+
+    // Запись в корзине: удалена с содержимым и срок хранения не истек
+    isInTrash(record) {
+        return Boolean(record && record.deleted && record.deletedAt) &&
+            Date.now() - new Date(record.deletedAt).getTime() < this.trashTTL;
+    }
+
+    // Содержимое корзины, сначала недавно удаленные
+    getTrashTransactions() {
+        return this.storedTransactions
+            .filter(record => this.isInTrash(record))
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    // Восстановление транзакций из корзины
+    async restoreTransactions(transactionIds) {
+        if (!this.currentUser) return;
+        
+        const ids = new Set(transactionIds);
+        const restored = this.storedTransactions
+            .filter(record => ids.has(record.id) && this.isInTrash(record))
+            .map(({ deleted, deletedAt, ...record }) => record);
+        if (restored.length === 0) return;
+        
+        try {
+            await this.setOccurrenceSkips(restored, false);
+            await this.saveUserTransactions({ upserts: restored });
+            await this.syncWithGlobal();
+            
+            this.loadUserTransactions();
+            this.renderTrash();
+            this.showSyncNotification(restored.length === 1 ? 'Транзакция восстановлена' : `Восстановлено: ${restored.length}`);
+        } catch (error) {
+            console.error('Error restoring transactions:', error);
+            this.showError('Ошибка при восстановлении транзакций');
+        }
+    }
+
+    // Окончательное удаление из корзины: остается только метка удаления без содержимого
+    async purgeTransactions(transactionIds) {
+        if (!this.currentUser) return;
+        
+        try {
+            await this.saveUserTransactions({ purge: transactionIds });
+            await this.syncWithGlobal();
+            this.renderTrash();
+        } catch (error) {
+            console.error('Error purging transactions:', error);
+            this.showError('Ошибка при очистке корзины');
+        }
+    }
+
+    // Очистка корзины
+    emptyTrash() {
+        const trash = this.getTrashTransactions();
+        if (trash.length === 0) return;
+        this.showConfirmModal({
+            title: 'Очистить корзину?',
+            description: `${trash.length} транзакций будут удалены навсегда. Отменить это нельзя.`,
+            onConfirm: () => this.purgeTransactions(trash.map(record => record.id))
+        });
+    }
+
+    // Записи, пролежавшие в корзине больше срока хранения, удаляются окончательно
+    async purgeExpiredTrash() {
+        const expired = this.storedTransactions
+            .filter(record => record.deleted && record.deletedAt && !this.isInTrash(record))
+            .map(record => record.id);
+        if (expired.length > 0) await this.saveUserTransactions({ purge: expired });
+    }
+
+    // Показать корзину
+    showTrashModal() {
+        this.renderTrash();
+        const modal = document.getElementById('trashModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть корзину
+    closeTrashModal() {
+        const modal = document.getElementById('trashModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Список корзины
+    renderTrash() {
+        const list = document.getElementById('trashList');
+        if (!list) return;
+        
+        const trash = this.getTrashTransactions();
+        const emptyButton = document.getElementById('emptyTrashBtn');
+        if (emptyButton) emptyButton.disabled = trash.length === 0;
+        
+        if (trash.length === 0) {
+            setChildren(list, h('div', { class: 'empty-state' }, h('p', {}, 'Корзина пуста')));
+            return;
+        }
+        
+        setChildren(list, trash.map(record => {
+            const args = JSON.stringify([[record.id]]);
+            const daysLeft = Math.max(1, Math.ceil((new Date(record.deletedAt).getTime() + this.trashTTL - Date.now()) / (24 * 60 * 60 * 1000)));
+            return h('div', { class: 'transaction-item' },
+                h('div', { class: 'transaction-info' },
+                    h('div', { class: 'transaction-description' }, record.description || 'Без описания'),
+                    h('div', { class: 'transaction-meta' },
+                        `${this.getTransactionLabel(record)} • ${record.date ? new Date(record.date).toLocaleDateString() : 'Без даты'} • удалится через ${daysLeft} дн.`
+                    )
+                ),
+                h('div', { class: 'trash-actions' },
+                    h('div', { class: ['transaction-amount', this.getAmountClass(record.type)] }, this.formatSignedAmount(record)),
+                    h('button', { type: 'button', class: 'edit-btn', title: 'Восстановить', dataset: { action: 'restoreTransactions', args } }, '♻️'),
+                    h('button', { type: 'button', class: 'delete-btn', title: 'Удалить навсегда', dataset: { action: 'purgeTransactions', args } }, '✖️')
+                )
+            );
+        }));
+    }
+
+    // Уведомление с возможностью отменить последнее действие
+    showUndo(message, undo) {
+        const toast = document.getElementById('undoToast');
+        const text = document.getElementById('undoMessage');
+        if (!toast || !text) return;
+        
+        clearTimeout(this.undoTimer);
+        this.undoAction = undo;
+        text.textContent = message;
+        toast.classList.add('show');
+        this.undoTimer = setTimeout(() => this.hideUndo(), this.undoTimeout);
+    }
+
+    // Скрыть уведомление об отмене
+    hideUndo() {
+        clearTimeout(this.undoTimer);
+        this.undoTimer = null;
+        this.undoAction = null;
+        this.toggleAppShellElement('undoToast', false);
+    }
+
+    // Отмена последнего действия
+    async undoLastAction() {
+        const undo = this.undoAction;
+        this.hideUndo();
+        if (undo) await undo();
+    }
+
+    // Отметка транзакции в списке
+    toggleTransactionSelected(transactionId, selected) {
+        if (selected) {
+            this.selectedTransactions.add(transactionId);
+        } else {
+            this.selectedTransactions.delete(transactionId);
+        }
+        this.renderVisibleRows();
+        this.updateBulkBar();
+    }
+
+    // Отметить все транзакции, показанные в списке
+    selectAllTransactions() {
+        this.getListTransactions().forEach(t => this.selectedTransactions.add(t.id));
+        this.renderVisibleRows();
+        this.updateBulkBar();
+    }
+
+    // Снять все отметки
+    clearSelection() {
+        this.selectedTransactions.clear();
+        this.renderVisibleRows();
+        this.updateBulkBar();
+    }
+
+    // Отмеченные транзакции, которые еще существуют
+    getSelectedTransactions() {
+        return this.allTransactions.filter(t => this.selectedTransactions.has(t.id));
+    }
+
+    // Панель действий над отмеченными транзакциями
+    updateBulkBar() {
+        // Отметки удаленных (в том числе на другом устройстве) транзакций больше не нужны
+        const existing = new Set(this.allTransactions.map(t => t.id));
+        this.selectedTransactions.forEach(id => {
+            if (!existing.has(id)) this.selectedTransactions.delete(id);
+        });
+        
+        const bar = document.getElementById('bulkBar');
+        if (!bar) return;
+        
+        const count = this.selectedTransactions.size;
+        bar.classList.toggle('show', count > 0);
+        const counter = document.getElementById('bulkCount');
+        if (counter) counter.textContent = `Выбрано: ${count}`;
+        if (count > 0) this.fillBulkCategories();
+    }
+
+    // Категории для массовой смены; тип категории хранится в data-type пункта
+    fillBulkCategories() {
+        const select = document.getElementById('bulkCategory');
+        if (!select) return;
+        
+        const groups = ['expense', 'income'].map(type => ({ type, categories: this.getCategories(type) }));
+        const signature = JSON.stringify(groups.map(group => group.categories.map(c => c.path)));
+        if (select.dataset.signature === signature) return;
+        
+        const value = select.value;
+        select.dataset.signature = signature;
+        setChildren(select,
+            h('option', { value: '' }, 'Новая категория'),
+            groups.map(({ type, categories }) => h('optgroup', { label: type === 'income' ? 'Доходы' : 'Расходы' },
+                categories.map(category => h('option', { value: category.path, dataset: { type } },
+                    `${category.depth ? '— ' : ''}${category.icon} ${category.name}`
+                ))
+            ))
+        );
+        select.value = value;
+    }
+
+    // Массовое изменение транзакций; change возвращает новую версию или null, если транзакцию не менять
+    async updateSelectedTransactions(change, message) {
+        const selected = this.getSelectedTransactions();
+        const now = new Date().toISOString();
+        const previous = new Map();
+        selected.forEach(t => {
+            const updated = change(t);
+            if (updated) previous.set(t.id, { original: t, updated: { ...updated, createdAt: t.createdAt || t.date, updatedAt: now } });
+        });
+        if (previous.size === 0) return 0;
+        
+        await this.saveUserTransactions({ upserts: [...previous.values()].map(entry => entry.updated) });
+        await this.syncWithGlobal();
+        this.loadUserTransactions();
+        
+        // Отмена возвращает прежние значения тех транзакций, которые с тех пор не меняли
+        this.showUndo(message(previous.size), async () => {
+            const now = new Date().toISOString();
+            const reverted = this.allTransactions
+                .filter(t => previous.has(t.id) && this.getRecordContent(t) === this.getRecordContent(previous.get(t.id).updated))
+                .map(t => ({ ...previous.get(t.id).original, updatedAt: now }));
+            await this.saveUserTransactions({ upserts: reverted });
+            await this.syncWithGlobal();
+            this.loadUserTransactions();
+            this.showSyncNotification('Изменения отменены');
+        });
+        return previous.size;
+    }
+
+    // Удаление отмеченных транзакций
+    bulkDelete() {
+        this.deleteTransactions([...this.selectedTransactions]);
+    }
+
+    // Смена категории отмеченных транзакций; переводы и транзакции другого типа не меняются
+    async bulkSetCategory() {
+        const select = document.getElementById('bulkCategory');
+        const option = select?.selectedOptions[0];
+        if (!select || !select.value || !option) {
+            this.showError('Выберите категорию');
+            return;
+        }
+        
+        const category = select.value;
+        const type = option.dataset.type;
+        try {
+            const total = this.getSelectedTransactions().length;
+            const changed = await this.updateSelectedTransactions(
+                t => t.type === type && t.category !== category ? { ...t, category } : null,
+                count => `Категория изменена: ${count}`
+            );
+            const skipped = this.getSelectedTransactions().filter(t => t.type !== type).length;
+            if (skipped > 0) {
+                this.showError(`Пропущено ${skipped} из ${total}: категория «${category}» подходит только для ${type === 'income' ? 'доходов' : 'расходов'}`);
+            } else if (changed === 0) {
+                this.showSyncNotification('Категория уже установлена');
+            }
+        } catch (error) {
+            console.error('Error updating categories:', error);
+            this.showError('Ошибка при изменении категории');
+        }
+    }
+
+    // Перенос отмеченных транзакций на другой день; время операции сохраняется
+    async bulkSetDate() {
+        const input = document.getElementById('bulkDate');
+        if (!input || !/^\d{4}-\d{2}-\d{2}$/.test(input.value)) {
+            this.showError('Выберите дату');
+            return;
+        }
+        
+        const [year, month, day] = input.value.split('-').map(Number);
+        try {
+            await this.updateSelectedTransactions(t => {
+                const date = t.date ? new Date(t.date) : new Date();
+                date.setFullYear(year, month - 1, day);
+                const value = date.toISOString();
+                return value === t.date ? null : { ...t, date: value };
+            }, count => `Перенесено на ${input.value.split('-').reverse().join('.')}: ${count}`);
+        } catch (error) {
+            console.error('Error moving transactions:', error);
+            this.showError('Ошибка при переносе транзакций');
+        }
+    }
+
+    // Изменение периода
+    changePeriod(period, offset = 0) {
+        if (period === 'custom' && !this.customRange) return;
+        this.currentPeriod = period;
+        this.periodOffset = period === 'all' ? 0 : offset;
+        
+        // Перезагружаем транзакции с новым фильтром
+        this.loadUserTransactions();
+    }
+
+    // Возврат к текущему периоду того же вида
+    showCurrentPeriod() {
+        this.changePeriod(this.currentPeriod);
+    }
+
+    // Переход к предыдущему (-1) или следующему (+1) периоду
+    shiftPeriod(step) {
+        if (this.currentPeriod === 'all') return;
+        this.changePeriod(this.currentPeriod, this.periodOffset + step);
+    }
+
+    // Кнопки, навигация и подписи селектора периода
+    updatePeriodSelector() {
+        const period = this.currentPeriod;
+        
+        // Обновляем активную кнопку
+        document.querySelectorAll('.period-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.period === period);
+        });
+        
+        const navigable = period !== 'all';
+        const navLabel = document.getElementById('periodNavLabel');
+        if (navLabel) {
+            const { start, end } = this.getPeriodRange();
+            navLabel.textContent = navigable ? this.formatPeriodDates(start, end) : 'Все операции';
+        }
+        ['periodPrevBtn', 'periodNextBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !navigable;
+        });
+        const currentBtn = document.getElementById('periodCurrentBtn');
+        if (currentBtn) currentBtn.style.display = navigable && this.periodOffset !== 0 ? '' : 'none';
+        
+        // Сравнивать «все время» не с чем
+        const compareToggle = document.getElementById('compareToggle');
+        if (compareToggle) {
+            compareToggle.checked = this.compareMode && navigable;
+            compareToggle.disabled = !navigable;
+        }
+        
+        // Обновляем информацию о периоде
+        const periodInfo = document.getElementById('periodInfo');
+        if (periodInfo) {
+            const compareText = this.isComparing()
+                ? `, сравнение — за ${this.getPeriodLabel(period, this.periodOffset - 1)}`
+                : '';
+            setChildren(periodInfo, h('span', {}, 'ℹ️'), ` Показаны данные за ${this.getPeriodLabel()}${compareText}`);
+        }
+    }
+
+    // Показать или скрыть поля своего периода
+    toggleCustomRange() {
+        const form = document.getElementById('customRangeForm');
+        if (!form) return;
+        
+        const visible = !form.classList.contains('show');
+        form.classList.toggle('show', visible);
+        if (visible) {
+            const { start, end } = this.getPeriodRange(this.currentPeriod === 'all' ? 'month' : this.currentPeriod);
+            document.getElementById('customFrom').value = this.customRange?.from || this.toDateKey(start);
+            document.getElementById('customTo').value = this.customRange?.to || this.toDateKey(new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1));
+        }
+    }
+
+    // Применение своего периода
+    applyCustomRange(event) {
+        event.preventDefault();
+        
+        const from = document.getElementById('customFrom')?.value;
+        const to = document.getElementById('customTo')?.value;
+        if (!from || !to || from > to) {
+            this.showError('Укажите корректный диапазон дат');
+            return;
+        }
+        
+        this.customRange = { from, to };
+        document.getElementById('customRangeForm')?.classList.remove('show');
+        this.changePeriod('custom');
+    }
+
+    // Режим сравнения с предыдущим периодом
+    toggleCompare(enabled) {
+        this.compareMode = enabled;
+        this.updatePeriodSelector();
+        this.writeViewHash();
+        this.updateUI();
+    }
+
+    isComparing() {
+        return this.compareMode && this.currentPeriod !== 'all';
+    }
+
+    // Обновление категорий
+    updateCategories() {
+        this.fillCategorySelect(document.getElementById('type'), document.getElementById('category'));
+        this.fillAccountSelects(['account', 'toAccount']);
+        this.fillCurrencySelect('currency', this.getAccountCurrency(document.getElementById('account')?.value));
+        this.toggleTransferFields('type', 'categoryGroup', 'toAccountGroup');
+    }
+
+    // Обновление категорий в окне редактирования
+    updateEditCategories() {
+        this.fillCategorySelect(document.getElementById('editType'), document.getElementById('editCategory'));
+        this.fillAccountSelects(['editAccount', 'editToAccount'], this.editAccountIds);
+        this.fillCurrencySelect('editCurrency', this.getAccountCurrency(document.getElementById('editAccount')?.value));
+        this.toggleTransferFields('editType', 'editCategoryGroup', 'editToAccountGroup');
+    }
+
+    // Переключение между категорией и счетом получателя для переводов
+    toggleTransferFields(typeId, categoryGroupId, toAccountGroupId) {
+        const typeSelect = document.getElementById(typeId);
+        const categoryGroup = document.getElementById(categoryGroupId);
+        const toAccountGroup = document.getElementById(toAccountGroupId);
+        if (!typeSelect) return;
         
-        input.onchange = (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const importedData = JSON.parse(event.target.result);
-                    
-                    // Проверяем валидность данных
-                    if (!importedData.user || !importedData.transactions) {
-                        throw new Error('Неверный формат данных');
-                    }
-                    
-                    if (importedData.user.username !== this.currentUser.username) {
-                        throw new Error('Данные принадлежат другому пользователю');
-                    }
-                    
-                    // Объединяем данные
-                    const globalData = this.getGlobalData();
-                    const existingTransactions = globalData.transactions[this.currentUser.username] || [];
-                    
-                    // Находим уникальные транзакции
-                    const existingIds = new Set(existingTransactions.map(t => t.id));
-                    const newTransactions = importedData.transactions.filter(t => !existingIds.has(t.id));
-                    
-                    // Объединяем транзакции
-                    const mergedTransactions = [...existingTransactions, ...newTransactions];
-                    
-                    // Сохраняем в глобальное хранилище
-                    globalData.transactions[this.currentUser.username] = mergedTransactions;
-                    globalData.users[this.currentUser.username].lastModified = new Date().toISOString();
-                    
-                    this.saveGlobalData(globalData);
-                    
-                    // Синхронизируем
-                    this.syncWithGlobal();
-                    
-                    this.showSuccess(`Импортировано ${newTransactions.length} новых транзакций`);
-                    
-                } catch (error) {
-                    console.error('Import error:', error);
-                    this.showError('Ошибка импорта: ' + error.message);
-                }
-            };
+        const isTransfer = typeSelect.value === 'transfer';
+        if (categoryGroup) {
+            categoryGroup.style.display = isTransfer ? 'none' : 'block';
+            const select = categoryGroup.querySelector('select');
+            if (select) select.required = !isTransfer;
+        }
+        if (toAccountGroup) {
+            toAccountGroup.style.display = isTransfer ? 'block' : 'none';
+            const select = toAccountGroup.querySelector('select');
+            if (select) select.required = isTransfer;
+        }
+    }
+
+    // Заполнение списков счетов; архивные попадают в список, только если указаны в keepIds
+    fillAccountSelects(selectIds, keepIds = []) {
+        const accounts = this.getUserCollection('accounts').filter(a => !a.archived || keepIds.includes(a.id));
+        selectIds.forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
             
-            reader.readAsText(file);
-        };
+            const selected = select.value;
+            select.innerHTML = '';
+            accounts.forEach(account => {
+                const option = document.createElement('option');
+                option.value = account.id;
+                option.textContent = account.archived ? `${account.name} (в архиве)` : account.name;
+                select.appendChild(option);
+            });
+            if (accounts.some(a => a.id === selected)) select.value = selected;
+        });
+    }
+
+    // Счет по умолчанию (первый активный)
+    getDefaultAccountId() {
+        const accounts = this.getUserCollection('accounts');
+        const active = accounts.find(a => !a.archived) || accounts[0];
+        return active ? active.id : 'default';
+    }
+
+    // Счет транзакции (старые транзакции относятся к счету по умолчанию)
+    getTransactionAccountId(transaction) {
+        const accounts = this.getUserCollection('accounts');
+        return accounts.some(a => a.id === transaction.accountId) ? transaction.accountId : this.getDefaultAccountId();
+    }
+
+    // Название счета
+    getAccountName(accountId) {
+        const account = this.getUserCollection('accounts').find(a => a.id === accountId);
+        return account ? account.name : 'Неизвестный счёт';
+    }
+
+    // Подпись транзакции: категория или направление перевода
+    getTransactionLabel(transaction) {
+        if (transaction.type === 'transfer') {
+            return `${this.getAccountName(this.getTransactionAccountId(transaction))} → ${this.getAccountName(transaction.toAccountId)}`;
+        }
+        return transaction.category || 'Без категории';
+    }
+
+    // Сумма со знаком для отображения
+    formatSignedAmount(transaction) {
+        const sign = transaction.type === 'income' ? '+' : transaction.type === 'expense' ? '-' : '';
+        return sign + this.formatMoney(transaction.amount || 0, this.getTransactionCurrency(transaction));
+    }
+
+    // Базовая валюта пользователя
+    getBaseCurrency() {
+        return this.getUserCollection('settings').baseCurrency || 'RUB';
+    }
+
+    // Валюта счета (счета без валюты ведутся в базовой)
+    getAccountCurrency(accountId) {
+        const account = this.getUserCollection('accounts').find(a => a.id === accountId);
+        return account && account.currency ? account.currency : this.getBaseCurrency();
+    }
+
+    // Валюта транзакции (старые транзакции в валюте счета)
+    getTransactionCurrency(transaction) {
+        return transaction.currency || this.getAccountCurrency(this.getTransactionAccountId(transaction));
+    }
+
+    // Форматирование суммы с символом валюты
+    formatMoney(amount, currency = this.getBaseCurrency()) {
+        const symbol = this.currencies[currency];
+        return symbol ? `${symbol}${amount.toFixed(2)}` : `${amount.toFixed(2)} ${currency}`;
+    }
+
+    // Прямой курс на дату: ближайший предыдущий, иначе ближайший следующий
+    findDirectRate(from, to, dateKey) {
+        const candidates = [];
+        this.getUserCollection('rates').forEach(entry => {
+            if (entry.currency === from && entry.base === to) {
+                candidates.push({ date: entry.date, rate: entry.rate });
+            } else if (entry.currency === to && entry.base === from) {
+                candidates.push({ date: entry.date, rate: 1 / entry.rate });
+            }
+        });
+        if (candidates.length === 0) return null;
         
-        input.click();
+        candidates.sort((a, b) => a.date.localeCompare(b.date));
+        const previous = candidates.filter(c => c.date <= dateKey).pop();
+        return (previous || candidates[0]).rate;
     }
 
-    // Обновление статуса синхронизации
-    updateSyncStatus() {
-        const syncStatus = document.getElementById('syncStatus');
+    // Курс пересчета из одной валюты в другую на дату
+    getExchangeRate(from, to, date) {
+        if (from === to) return 1;
         
-        if (!syncStatus) return;
+        const dateKey = this.toDateKey(new Date(date));
+        const direct = this.findDirectRate(from, to, dateKey);
+        if (direct !== null) return direct;
         
-        if (this.lastSyncTime) {
-            const timeAgo = this.getTimeAgo(this.lastSyncTime);
-            syncStatus.textContent = `🟢 Синхронизировано ${timeAgo}`;
-            syncStatus.className = 'sync-status online';
-        } else {
-            syncStatus.textContent = '🟡 Не синхронизировано';
-            syncStatus.className = 'sync-status pending';
+        // Кросс-курс через любую общую валюту
+        for (const via of Object.keys(this.currencies)) {
+            if (via === from || via === to) continue;
+            const first = this.findDirectRate(from, via, dateKey);
+            const second = first !== null ? this.findDirectRate(via, to, dateKey) : null;
+            if (second !== null) return first * second;
         }
+        return null;
     }
 
-    // Получение времени в формате "X минут назад"
-    getTimeAgo(date) {
-        const seconds = Math.floor((new Date() - date) / 1000);
+    // Пересчет суммы; null, если курс неизвестен
+    convertAmount(amount, from, to, date) {
+        const rate = this.getExchangeRate(from, to, date);
+        return rate === null ? null : amount * rate;
+    }
+
+    // Сумма транзакции в базовой валюте
+    toBaseAmount(transaction) {
+        return this.convertAmount(transaction.amount || 0, this.getTransactionCurrency(transaction), this.getBaseCurrency(), transaction.date || new Date());
+    }
+
+    // Заполнение списка валют
+    fillCurrencySelect(selectId, fallback) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
         
-        if (seconds < 60) return 'только что';
-        if (seconds < 3600) return `${Math.floor(seconds / 60)} мин. назад`;
-        if (seconds < 86400) return `${Math.floor(seconds / 3600)} ч. назад`;
-        return `${Math.floor(seconds / 86400)} д. назад`;
+        const selected = select.value;
+        select.innerHTML = '';
+        Object.entries(this.currencies).forEach(([code, symbol]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${symbol} ${code}`;
+            select.appendChild(option);
+        });
+        select.value = selected && this.currencies[selected] ? selected : (fallback || this.getBaseCurrency());
     }
 
-    // Переключение вкладок аутентификации
-    switchAuthTab(tab) {
-        const tabs = document.querySelectorAll('.auth-tab');
-        const forms = document.querySelectorAll('.auth-form');
+    // Подстановка валюты выбранного счета
+    syncCurrencyWithAccount(accountSelectId, currencySelectId) {
+        const accountSelect = document.getElementById(accountSelectId);
+        const currencySelect = document.getElementById(currencySelectId);
+        if (accountSelect && currencySelect) {
+            currencySelect.value = this.getAccountCurrency(accountSelect.value);
+        }
+    }
+
+    // CSS-класс суммы по типу транзакции
+    getAmountClass(type) {
+        if (type === 'income') return 'amount-income';
+        if (type === 'transfer') return 'amount-transfer';
+        return 'amount-expense';
+    }
+
+    // Сумма операции в валюте счета (null — нет курса на дату операции)
+    getAmountInAccountCurrency(transaction, accountId) {
+        return this.convertAmount(transaction.amount || 0, this.getTransactionCurrency(transaction), this.getAccountCurrency(accountId), transaction.date || new Date());
+    }
+
+    // Остатки на всех счетах за все время; unconverted — операции без курса, не вошедшие в остаток
+    getAccountBalances() {
+        const accounts = this.getUserCollection('accounts');
+        const balances = new Map(accounts.map(account => [account.id, account.openingBalance || 0]));
+        const unconverted = new Map(accounts.map(account => [account.id, 0]));
+        const add = (accountId, amount, sign) => {
+            if (!balances.has(accountId)) return;
+            if (amount === null) {
+                unconverted.set(accountId, unconverted.get(accountId) + 1);
+            } else {
+                balances.set(accountId, balances.get(accountId) + sign * amount);
+            }
+        };
         
-        tabs.forEach(t => t.classList.remove('active'));
-        forms.forEach(f => f.classList.remove('active'));
+        this.allTransactions.forEach(transaction => {
+            if (!transaction) return;
+            
+            const accountId = this.getTransactionAccountId(transaction);
+            const amount = this.getAmountInAccountCurrency(transaction, accountId);
+            
+            if (transaction.type === 'income') {
+                add(accountId, amount, 1);
+            } else if (transaction.type === 'expense') {
+                add(accountId, amount, -1);
+            } else if (transaction.type === 'transfer') {
+                add(accountId, amount, -1);
+                add(transaction.toAccountId, this.getAmountInAccountCurrency(transaction, transaction.toAccountId), 1);
+            }
+        });
         
-        if (tab === 'login') {
-            tabs[0]?.classList.add('active');
-            const loginForm = document.getElementById('loginForm');
-            if (loginForm) loginForm.classList.add('active');
-        } else {
-            tabs[1]?.classList.add('active');
-            const registerForm = document.getElementById('registerForm');
-            if (registerForm) registerForm.classList.add('active');
+        return accounts.map(account => ({ ...account, balance: balances.get(account.id), unconverted: unconverted.get(account.id) }));
+    }
+
+    // Остаток счета в его валюте и число операций без курса
+    formatAccountBalance(account) {
+        return this.formatMoney(account.balance, this.getAccountCurrency(account.id)) +
+            (account.unconverted > 0 ? ` • без курса: ${account.unconverted}` : '');
+    }
+
+    // Отображение остатков по счетам
+    renderAccountBalances() {
+        const list = document.getElementById('accountBalances');
+        const totalEl = document.getElementById('accountsTotal');
+        if (!list) return;
+        
+        const balances = this.getAccountBalances().filter(account => !account.archived || account.balance !== 0);
+        // Итог по всем счетам в базовой валюте по текущему курсу; счета без курса в него не входят
+        let excluded = 0;
+        const total = balances.reduce((sum, account) => {
+            const converted = this.convertAmount(account.balance, this.getAccountCurrency(account.id), this.getBaseCurrency(), new Date());
+            if (converted === null && account.balance !== 0) excluded++;
+            return sum + (converted ?? 0);
+        }, 0);
+        
+        setChildren(list,
+            balances.map(account => h('div', { class: 'account-balance-row' },
+                h('span', {}, account.name),
+                h('span', {}, this.formatAccountBalance(account))
+            )),
+            excluded > 0 ? h('div', { class: 'account-balance-row' },
+                h('span', {}, 'Не вошли в итог без курса'),
+                h('span', {}, excluded)
+            ) : null
+        );
+        
+        if (totalEl) totalEl.textContent = this.formatMoney(total);
+    }
+
+    // Показать окно управления счетами
+    showAccountsModal() {
+        this.resetAccountForm();
+        
+        const modal = document.getElementById('accountsModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно управления счетами
+    closeAccountsModal() {
+        const modal = document.getElementById('accountsModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Показать ошибку в окне счетов
+    showAccountsError(message) {
+        const errorEl = document.getElementById('accountsError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
         }
+    }
+
+    // Сброс формы счета
+    resetAccountForm() {
+        const form = document.getElementById('accountForm');
+        if (form) form.reset();
         
-        this.hideMessages();
+        const idInput = document.getElementById('accountId');
+        const submitBtn = document.getElementById('accountSubmitBtn');
+        const errorEl = document.getElementById('accountsError');
+        
+        if (idInput) idInput.value = '';
+        if (submitBtn) submitBtn.textContent = 'Добавить';
+        if (errorEl) errorEl.classList.remove('show');
+        
+        this.fillCurrencySelect('accountCurrency', this.getBaseCurrency());
+        this.renderAccountsModal();
     }
 
-    // Обработка входа
-    async handleLogin(event) {
+    // Заполнение формы для редактирования счета
+    editAccount(accountId) {
+        const account = this.getUserCollection('accounts').find(a => a.id === accountId);
+        if (!account) return;
+        
+        document.getElementById('accountId').value = account.id;
+        document.getElementById('accountName').value = account.name;
+        document.getElementById('accountOpening').value = account.openingBalance || 0;
+        document.getElementById('accountCurrency').value = this.getAccountCurrency(account.id);
+        document.getElementById('accountSubmitBtn').textContent = 'Сохранить';
+    }
+
+    // Список счетов в окне управления
+    renderAccountsModal() {
+        const list = document.getElementById('accountManageList');
+        if (!list) return;
+        
+        setChildren(list, this.getAccountBalances().map(account => {
+            const args = JSON.stringify([account.id]);
+            return h('div', { class: ['category-manage-item', account.archived && 'archived'] },
+                h('span', { class: 'category-manage-name' }, account.name),
+                h('span', { class: 'account-manage-balance' }, this.formatAccountBalance(account)),
+                h('button', { type: 'button', class: 'edit-btn', title: 'Изменить', dataset: { action: 'editAccount', args } }, '✏️'),
+                h('button', { type: 'button', class: 'edit-btn', title: account.archived ? 'Восстановить' : 'В архив', dataset: { action: 'toggleAccountArchived', args } }, account.archived ? '♻️' : '📦')
+            );
+        }));
+    }
+
+    // Добавление или изменение счета
+    async handleSaveAccount(event) {
         event.preventDefault();
         
-        const usernameInput = document.getElementById('loginUsername');
-        const passwordInput = document.getElementById('loginPassword');
+        if (!this.currentUser) return;
         
-        if (!usernameInput || !passwordInput) {
-            this.showError('Форма входа не найдена');
+        const id = document.getElementById('accountId')?.value;
+        const name = (document.getElementById('accountName')?.value || '').trim();
+        const openingBalance = parseFloat(document.getElementById('accountOpening')?.value || '0');
+        const currency = document.getElementById('accountCurrency')?.value || this.getBaseCurrency();
+        
+        if (!name) {
+            this.showAccountsError('Введите название счета');
             return;
         }
         
-        const username = usernameInput.value.trim();
-        const password = passwordInput.value;
+        if (isNaN(openingBalance)) {
+            this.showAccountsError('Введите корректный начальный остаток');
+            return;
+        }
         
-        if (!username || !password) {
-            this.showError('Заполните все поля');
+        const accounts = this.getUserCollection('accounts');
+        if (accounts.some(a => a.id !== id && a.name.toLowerCase() === name.toLowerCase())) {
+            this.showAccountsError('Счет с таким названием уже существует');
             return;
         }
         
-        // Показываем состояние загрузки
-        const loginBtn = document.getElementById('loginBtn');
-        const loginBtnText = document.getElementById('loginBtnText');
-        if (loginBtn) loginBtn.disabled = true;
-        if (loginBtnText) loginBtnText.innerHTML = '<span class="loading-spinner"></span> Вход...';
+        // Смена валюты изменила бы смысл уже записанных сумм
+        if (id && currency !== this.getAccountCurrency(id) && this.allTransactions.some(t =>
+            this.getTransactionAccountId(t) === id || t.toAccountId === id)) {
+            this.showAccountsError('Нельзя сменить валюту счета, по которому есть операции');
+            return;
+        }
         
-        setTimeout(() => {
-            try {
-                const globalData = this.getGlobalData();
-                const user = globalData.users[username];
-                
-                if (user && user.password === password) {
-                    this.currentUser = {
-                        username: user.username,
-                        email: user.email,
-                        createdAt: user.createdAt
-                    };
-                    
-                    // Сохраняем сессию
-                    const token = Date.now().toString() + Math.random().toString(36);
-                    localStorage.setItem('financeAuth', JSON.stringify({ user: this.currentUser, token }));
-                    
-                    // Синхронизируем данные
-                    this.syncWithGlobal();
-                    
-                    this.showMainApp();
-                    this.hideMessages();
-                    this.startAutoSync();
-                    
-                    const loginForm = document.getElementById('loginForm');
-                    if (loginForm) loginForm.reset();
-                    
-                } else {
-                    this.showError('Неверный логин или пароль');
-                }
-            } catch (error) {
-                console.error('Login error:', error);
-                this.showError('Ошибка при входе. Попробуйте еще раз.');
-            }
-            
-            if (loginBtn) loginBtn.disabled = false;
-            if (loginBtnText) loginBtnText.textContent = 'Войти в аккаунт';
-        }, 1000);
+        const updated = id
+            ? accounts.map(a => a.id === id ? { ...a, name, currency, openingBalance } : a)
+            : [...accounts, {
+                id: 'acc_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+                name,
+                currency,
+                openingBalance,
+                archived: false
+            }];
+        
+        try {
+            await this.saveUserCollection('accounts', updated);
+            this.afterAccountsChanged();
+        } catch (error) {
+            console.error('Error saving account:', error);
+            this.showAccountsError('Ошибка при сохранении счета');
+        }
     }
 
-    // Обработка регистрации
-    async handleRegister(event) {
-        event.preventDefault();
-        
-        const usernameInput = document.getElementById('registerUsername');
-        const emailInput = document.getElementById('registerEmail');
-        const passwordInput = document.getElementById('registerPassword');
-        const confirmPasswordInput = document.getElementById('confirmPassword');
+    // Архивирование счета (история операций сохраняется)
+    async toggleAccountArchived(accountId) {
+        const accounts = this.getUserCollection('accounts');
+        const account = accounts.find(a => a.id === accountId);
+        if (!account) return;
         
-        if (!usernameInput || !emailInput || !passwordInput || !confirmPasswordInput) {
-            this.showError('Форма регистрации не найдена');
+        if (!account.archived && accounts.filter(a => !a.archived).length === 1) {
+            this.showAccountsError('Должен остаться хотя бы один активный счет');
             return;
         }
         
-        const username = usernameInput.value.trim();
-        const email = emailInput.value.trim();
-        const password = passwordInput.value;
-        const confirmPassword = confirmPasswordInput.value;
+        try {
+            await this.saveUserCollection('accounts', accounts.map(a => a.id === accountId ? { ...a, archived: !a.archived } : a));
+            this.afterAccountsChanged();
+        } catch (error) {
+            console.error('Error archiving account:', error);
+            this.showAccountsError('Ошибка при сохранении счета');
+        }
+    }
+
+    // Обновление интерфейса после изменения счетов
+    afterAccountsChanged() {
+        this.resetAccountForm();
+        this.updateCategories();
+        this.loadUserTransactions();
+    }
+
+    // Показать окно валют и курсов
+    showCurrencyModal() {
+        const form = document.getElementById('rateForm');
+        if (form) form.reset();
         
-        // Валидация
-        if (!username || !email || !password || !confirmPassword) {
-            this.showError('Заполните все поля');
-            return;
+        const dateInput = document.getElementById('rateDate');
+        if (dateInput) dateInput.value = this.toDateKey(new Date());
+        
+        const errorEl = document.getElementById('currencyError');
+        if (errorEl) errorEl.classList.remove('show');
+        
+        this.renderCurrencyModal();
+        
+        const modal = document.getElementById('currencyModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно валют и курсов
+    closeCurrencyModal() {
+        const modal = document.getElementById('currencyModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Показать ошибку в окне валют
+    showCurrencyError(message) {
+        const errorEl = document.getElementById('currencyError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
         }
+    }
+
+    // Таблица курсов и выбор базовой валюты
+    renderCurrencyModal() {
+        const base = this.getBaseCurrency();
+        this.fillCurrencySelect('baseCurrency', base);
+        document.getElementById('baseCurrency').value = base;
+        this.fillCurrencySelect('rateCurrency', Object.keys(this.currencies).find(code => code !== base));
         
-        if (username.length < 3) {
-            this.showError('Логин должен содержать минимум 3 символа');
+        const baseLabel = document.getElementById('rateBaseLabel');
+        if (baseLabel) baseLabel.textContent = base;
+        
+        const list = document.getElementById('ratesList');
+        if (!list) return;
+        
+        const rates = this.getUserCollection('rates')
+            .slice()
+            .sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency));
+        
+        if (rates.length === 0) {
+            setChildren(list, h('div', { class: 'empty-state' }, h('p', {}, 'Курсы не добавлены')));
             return;
         }
         
-        if (!email.includes('@') || !email.includes('.')) {
-            this.showError('Введите корректный email');
+        setChildren(list, rates.map(entry => h('div', { class: 'category-manage-item' },
+            h('span', { class: 'category-manage-name' }, `1 ${entry.currency} = ${entry.rate} ${entry.base}`),
+            h('span', { class: 'account-manage-balance' }, new Date(entry.date + 'T00:00').toLocaleDateString()),
+            h('button', { type: 'button', class: 'delete-btn', title: 'Удалить', dataset: { action: 'deleteRate', args: JSON.stringify([entry.id]) } }, '🗑️')
+        )));
+    }
+
+    // Смена базовой валюты
+    async setBaseCurrency(currency) {
+        if (!this.currentUser || !this.currencies[currency]) return;
+        
+        const previous = this.getBaseCurrency();
+        if (currency === previous) return;
+        
+        try {
+            // Счета без явной валюты велись в прежней базовой
+            const accounts = this.getUserCollection('accounts');
+            if (accounts.some(a => !a.currency)) {
+                await this.saveUserCollection('accounts', accounts.map(a => a.currency ? a : { ...a, currency: previous }));
+            }
+            await this.saveUserCollection('settings', { ...this.getUserCollection('settings'), baseCurrency: currency });
+            
+            this.renderCurrencyModal();
+            this.updateCategories();
+            this.loadUserTransactions();
+        } catch (error) {
+            console.error('Error saving base currency:', error);
+            this.showCurrencyError('Ошибка при сохранении базовой валюты');
+        }
+    }
+
+    // Добавление курса на дату
+    async handleSaveRate(event) {
+        event.preventDefault();
+        
+        if (!this.currentUser) return;
+        
+        const currency = document.getElementById('rateCurrency')?.value;
+        const date = document.getElementById('rateDate')?.value;
+        const rate = parseFloat(document.getElementById('rateValue')?.value || '');
+        const base = this.getBaseCurrency();
+        
+        if (!currency || !date) {
+            this.showCurrencyError('Заполните все поля');
             return;
         }
         
-        if (password !== confirmPassword) {
-            this.showError('Пароли не совпадают');
+        if (currency === base) {
+            this.showCurrencyError('Курс базовой валюты к самой себе не нужен');
             return;
         }
         
-        if (!this.validatePassword(password)) {
-            this.showError('Пароль не соответствует требованиям');
+        if (isNaN(rate) || rate <= 0) {
+            this.showCurrencyError('Введите корректный курс');
             return;
         }
         
-        // Показываем состояние загрузки
-        const registerBtn = document.getElementById('registerBtn');
-        const registerBtnText = document.getElementById('registerBtnText');
-        if (registerBtn) registerBtn.disabled = true;
-        if (registerBtnText) registerBtnText.innerHTML = '<span class="loading-spinner"></span> Создание...';
+        // Курс на ту же дату заменяет прежний
+        const rates = this.getUserCollection('rates').filter(entry =>
+            !(entry.currency === currency && entry.base === base && entry.date === date));
+        rates.push({
+            id: 'rate_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            currency,
+            base,
+            date,
+            rate,
+            updatedAt: new Date().toISOString()
+        });
         
-        setTimeout(() => {
-            try {
-                const globalData = this.getGlobalData();
-                
-                if (globalData.users[username]) {
-                    this.showError('Пользователь с таким логином уже существует');
-                    if (registerBtn) registerBtn.disabled = false;
-                    if (registerBtnText) registerBtnText.textContent = 'Создать аккаунт';
-                    return;
-                }
-                
-                const newUser = {
-                    username,
-                    email,
-                    password,
-                    createdAt: new Date().toISOString(),
-                    lastModified: new Date().toISOString(),
-                    deviceId: this.generateDeviceId()
-                };
-                
-                // Сохраняем пользователя в глобальное хранилище
-                globalData.users[username] = newUser;
-                globalData.transactions[username] = [];
-                
-                this.saveGlobalData(globalData);
-                
-                // Автоматически входим после регистрации
-                this.currentUser = {
-                    username: newUser.username,
-                    email: newUser.email,
-                    createdAt: newUser.createdAt
-                };
-                
-                const token = Date.now().toString() + Math.random().toString(36);
-                localStorage.setItem('financeAuth', JSON.stringify({ user: this.currentUser, token }));
-                
-                this.showMainApp();
-                this.showSuccess('Аккаунт успешно создан!');
-                this.startAutoSync();
-                
-                const registerForm = document.getElementById('registerForm');
-                if (registerForm) registerForm.reset();
-                
-            } catch (error) {
-                console.error('Registration error:', error);
-                this.showError('Ошибка при регистрации. Попробуйте еще раз.');
-            }
-            
-            if (registerBtn) registerBtn.disabled = false;
-            if (registerBtnText) registerBtnText.textContent = 'Создать аккаунт';
-        }, 1000);
+        try {
+            await this.saveUserCollection('rates', rates);
+            document.getElementById('rateValue').value = '';
+            document.getElementById('currencyError')?.classList.remove('show');
+            this.renderCurrencyModal();
+            this.loadUserTransactions();
+        } catch (error) {
+            console.error('Error saving rate:', error);
+            this.showCurrencyError('Ошибка при сохранении курса');
+        }
     }
 
-    // Валидация пароля
-    validatePassword(password) {
-        return password.length >= 6 && /[A-Z]/.test(password) && /\d/.test(password);
+    // Удаление курса
+    async deleteRate(rateId) {
+        try {
+            await this.saveUserCollection('rates', this.getUserCollection('rates').filter(entry => entry.id !== rateId));
+            this.renderCurrencyModal();
+            this.loadUserTransactions();
+        } catch (error) {
+            console.error('Error deleting rate:', error);
+            this.showCurrencyError('Ошибка при удалении курса');
+        }
     }
 
-    // Проверка требований к паролю
-    checkPasswordRequirements() {
-        const passwordInput = document.getElementById('registerPassword');
-        if (!passwordInput) return;
+    // Заполнение списка категорий по выбранному типу
+    fillCategorySelect(typeSelect, categorySelect) {
+        if (!typeSelect || !categorySelect) {
+            return;
+        }
         
-        const password = passwordInput.value;
-        const reqLength = document.getElementById('reqLength');
-        const reqUpper = document.getElementById('reqUpper');
-        const reqNumber = document.getElementById('reqNumber');
+        const type = typeSelect.value;
+        const categories = this.getCategories(type);
         
-        if (reqLength) {
-            if (password.length >= 6) {
-                reqLength.textContent = '✓ Минимум 6 символов';
-                reqLength.classList.add('met');
-            } else {
-                reqLength.textContent = '○ Минимум 6 символов';
-                reqLength.classList.remove('met');
-            }
+        categorySelect.innerHTML = '<option value="">Выберите категорию</option>';
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.path;
+            option.textContent = `${category.icon} ${category.path}`;
+            categorySelect.appendChild(option);
+        });
+    }
+
+    // Расчет статистики
+    calculateStats(transactions = this.transactions) {
+        if (!transactions || !Array.isArray(transactions)) {
+            return { income: 0, expense: 0, balance: 0, unconverted: 0 };
         }
         
-        if (reqUpper) {
-            if (/[A-Z]/.test(password)) {
-                reqUpper.textContent = '✓ Одна заглавная буква';
-                reqUpper.classList.add('met');
+        // Все суммы пересчитываются в базовую валюту на дату операции
+        let income = 0;
+        let expense = 0;
+        let unconverted = 0;
+        
+        transactions.forEach(t => {
+            if (!t || (t.type !== 'income' && t.type !== 'expense')) return;
+            
+            const amount = this.toBaseAmount(t);
+            if (amount === null) {
+                unconverted++;
+            } else if (t.type === 'income') {
+                income += amount;
             } else {
-                reqUpper.textContent = '○ Одна заглавная буква';
-                reqUpper.classList.remove('met');
+                expense += amount;
             }
+        });
+        
+        const balance = income - expense;
+        
+        return { income, expense, balance, unconverted };
+    }
+
+    // Получение топ категорий
+    getTopCategories() {
+        return Object.entries(this.getCategoryTotals())
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 6)
+            .map(([category, amount]) => ({ category, amount }));
+    }
+
+    // Суммы по корневым категориям в базовой валюте
+    getCategoryTotals(transactions = this.transactions) {
+        if (!transactions || !Array.isArray(transactions)) {
+            return {};
         }
         
-        if (reqNumber) {
-            if (/\d/.test(password)) {
-                reqNumber.textContent = '✓ Одна цифра';
-                reqNumber.classList.add('met');
-            } else {
-                reqNumber.textContent = '○ Одна цифра';
-                reqNumber.classList.remove('met');
+        const categoryTotals = {};
+        
+        transactions.forEach(transaction => {
+            if (transaction && transaction.category && transaction.type !== 'transfer') {
+                // Подкатегории суммируются в родительскую категорию
+                const category = this.getRootCategory(transaction.category);
+                if (!categoryTotals[category]) {
+                    categoryTotals[category] = 0;
+                }
+                categoryTotals[category] += this.toBaseAmount(transaction) ?? 0;
             }
-        }
+        });
+        
+        return categoryTotals;
     }
 
-    // Выход из системы
-    logout() {
-        // Синхронизируем данные перед выходом
-        if (this.currentUser) {
-            this.syncWithGlobal();
+    // Изменение относительно предыдущего периода; inverse — рост считается плохим (расходы)
+    renderDelta(current, previous, inverse = false) {
+        const diff = current - previous;
+        if (Math.abs(diff) < 0.005) {
+            return h('span', { class: 'delta delta-same' }, '= без изменений');
         }
         
-        localStorage.removeItem('financeAuth');
-        this.currentUser = null;
-        this.transactions = [];
-        this.stopAutoSync();
-        this.showAuth();
+        const sign = diff > 0 ? '+' : '−';
+        const percent = previous !== 0 ? ` (${sign}${Math.abs(diff / Math.abs(previous) * 100).toFixed(1)}%)` : '';
+        const quality = (diff > 0) !== inverse ? 'delta-good' : 'delta-bad';
+        return h('span', { class: ['delta', quality] }, `${diff > 0 ? '▲' : '▼'} ${sign}${this.formatMoney(Math.abs(diff))}${percent}`);
     }
 
-    // Загрузка транзакций пользователя
-    loadUserTransactions() {
-        if (!this.currentUser) return;
+    // Интервалы графика: дни для периодов до квартала, месяцы для более длинных
+    getChartBuckets() {
+        const { start, end } = this.getPeriodRange();
+        const byDay = (end - start) / 86400000 <= 92;
+        const lastDay = new Date(end - 1);
+        const sameYear = start.getFullYear() === lastDay.getFullYear();
+        const sameMonth = sameYear && start.getMonth() === lastDay.getMonth();
+        const pad = (value) => String(value).padStart(2, '0');
+        const buckets = [];
         
-        try {
-            const storedTransactions = localStorage.getItem(`transactions_${this.currentUser.username}`);
-            if (storedTransactions) {
-                const allTransactions = JSON.parse(storedTransactions);
-                const filteredTransactions = this.filterTransactionsByPeriod(allTransactions, this.currentPeriod);
-                this.transactions = filteredTransactions;
+        for (let date = start; date < end;) {
+            const boundary = byDay
+                ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+                : new Date(date.getFullYear(), date.getMonth() + 1, 1);
+            const next = boundary < end ? boundary : end;
+            let label;
+            if (byDay) {
+                label = sameMonth ? String(date.getDate()) : `${pad(date.getDate())}.${pad(date.getMonth() + 1)}`;
             } else {
-                this.transactions = [];
+                label = sameYear
+                    ? date.toLocaleDateString('ru-RU', { month: 'short' })
+                    : `${pad(date.getMonth() + 1)}.${String(date.getFullYear()).slice(-2)}`;
             }
-        } catch (error) {
-            console.error('Error loading transactions:', error);
-            this.transactions = [];
+            buckets.push({
+                start: date,
+                end: next,
+                label,
+                title: date.toLocaleDateString('ru-RU', byDay ? { day: 'numeric', month: 'long', year: 'numeric' } : { month: 'long', year: 'numeric' })
+            });
+            date = next;
         }
-        this.updateUI();
+        return { buckets, byDay };
     }
-
-    // Фильтрация транзакций по периоду
-    filterTransactionsByPeriod(allTransactions, period) {
-        if (!allTransactions || !Array.isArray(allTransactions)) return [];
+    
+    // Данные графиков за текущий период в базовой валюте
+    getChartData() {
+        const { buckets, byDay } = this.getChartBuckets();
+        const income = buckets.map(() => 0);
+        const expense = buckets.map(() => 0);
+        const bucketIndex = (date) => buckets.findIndex(bucket => date >= bucket.start && date < bucket.end);
         
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
+        // Доходы и расходы по интервалам
+        this.transactions.forEach(t => {
+            if (!t || (t.type !== 'income' && t.type !== 'expense')) return;
+            const amount = this.toBaseAmount(t);
+            const index = bucketIndex(new Date(t.date));
+            if (amount === null || index === -1) return;
+            (t.type === 'income' ? income : expense)[index] += amount;
+        });
         
-        return allTransactions.filter(transaction => {
-            if (!transaction || !transaction.date) return false;
-            
-            const transactionDate = new Date(transaction.date);
-            if (isNaN(transactionDate.getTime())) return false;
-            
-            switch (period) {
-                case 'month':
-                    return transactionDate.getMonth() === currentMonth && 
-                           transactionDate.getFullYear() === currentYear;
-                case 'year':
-                    return transactionDate.getFullYear() === currentYear;
-                case 'all':
-                    return true;
-                default:
-                    return true;
+        // Остаток на конец каждого интервала: начальные остатки счетов плюс все операции до этой даты.
+        // Суммы без курса в остаток не входят и считаются отдельно
+        let unconverted = 0;
+        const opening = this.getUserCollection('accounts').reduce((sum, account) => {
+            const converted = this.convertAmount(account.openingBalance || 0, this.getAccountCurrency(account.id), this.getBaseCurrency(), new Date());
+            if (converted === null && account.openingBalance) unconverted++;
+            return sum + (converted ?? 0);
+        }, 0);
+        const balance = buckets.map(() => 0);
+        let before = opening;
+        this.allTransactions.forEach(t => {
+            if (!t || (t.type !== 'income' && t.type !== 'expense')) return;
+            const date = new Date(t.date);
+            const amount = this.toBaseAmount(t);
+            if (amount === null) unconverted++;
+            if (amount === null || isNaN(date.getTime())) return;
+            const signed = t.type === 'income' ? amount : -amount;
+            if (date < buckets[0].start) {
+                before += signed;
+                return;
             }
+            const index = bucketIndex(date);
+            if (index !== -1) balance[index] += signed;
+        });
+        balance.forEach((change, index) => {
+            before += change;
+            balance[index] = before;
         });
-    }
-
-    // Обработка добавления транзакции
-    handleAddTransaction(event) {
-        event.preventDefault();
         
-        if (!this.currentUser) {
-            this.showError('Сначала войдите в систему');
-            return;
+        // Расходы по корневым категориям: крупнейшие отдельно, остальные — в «Прочее»
+        const categoryTotals = {};
+        this.transactions.forEach(t => {
+            if (!t || t.type !== 'expense') return;
+            const amount = this.toBaseAmount(t);
+            if (!amount) return;
+            const category = this.getRootCategory(t.category || 'Другое');
+            categoryTotals[category] = (categoryTotals[category] || 0) + amount;
+        });
+        const sorted = Object.entries(categoryTotals).sort(([, a], [, b]) => b - a);
+        const limit = this.charts.palette.length - 1;
+        const categories = sorted.slice(0, limit).map(([label, value]) => ({ label, value }));
+        if (sorted.length > limit) {
+            categories.push({ label: 'Прочее', value: sorted.slice(limit).reduce((sum, [, value]) => sum + value, 0), other: true });
         }
         
-        const typeSelect = document.getElementById('type');
-        const amountInput = document.getElementById('amount');
-        const categorySelect = document.getElementById('category');
-        const descriptionInput = document.getElementById('description');
+        // Свой цвет категории, если он не повторяется, иначе цвет из палитры
+        const used = new Set();
+        categories.forEach((slice, index) => {
+            const own = slice.other ? null : this.getCategoryColor(slice.label);
+            slice.color = own && !used.has(own) ? own : this.charts.palette.find(color => !used.has(color)) || this.charts.palette[index];
+            used.add(slice.color);
+        });
         
-        if (!typeSelect || !amountInput || !categorySelect || !descriptionInput) {
-            this.showError('Форма транзакции не найдена');
-            return;
-        }
+        return { buckets, byDay, income, expense, balance, categories, unconverted };
+    }
+    
+    // Отрисовка графиков; без доходов и расходов за период блок скрыт
+    renderCharts() {
+        const section = document.getElementById('chartsSection');
+        if (!section) return;
         
-        const type = typeSelect.value;
-        const amountStr = amountInput.value;
-        const category = categorySelect.value;
-        const description = descriptionInput.value.trim();
+        const hasData = this.transactions.some(t => t && (t.type === 'income' || t.type === 'expense'));
+        section.style.display = hasData ? '' : 'none';
+        if (!hasData) return;
         
-        // Валидация
-        if (!type || !amountStr || !category || !description) {
-            this.showError('Заполните все поля');
-            return;
+        const { buckets, byDay, income, expense, balance, categories, unconverted } = this.getChartData();
+        const labels = buckets.map(bucket => bucket.label);
+        const titles = buckets.map(bucket => bucket.title);
+        
+        const flowDescription = document.getElementById('flowChartDescription');
+        if (flowDescription) flowDescription.textContent = `${byDay ? 'По дням' : 'По месяцам'} за ${this.getPeriodLabel()}`;
+        const balanceDescription = document.getElementById('balanceChartDescription');
+        if (balanceDescription) {
+            const text = byDay ? 'Остаток на счетах на конец дня' : 'Остаток на счетах на конец месяца';
+            balanceDescription.textContent = unconverted > 0 ? `${text} • без курса: ${unconverted}` : text;
         }
         
-        const amount = parseFloat(amountStr);
+        this.charts.renderBars(document.getElementById('flowChart'), {
+            labels,
+            titles,
+            series: [
+                { name: 'Доходы', color: '#56ab2f', values: income },
+                { name: 'Расходы', color: '#ff416c', values: expense }
+            ]
+        });
+        this.charts.renderLegend(document.getElementById('flowChartLegend'), [
+            { label: 'Доходы', color: '#56ab2f' },
+            { label: 'Расходы', color: '#ff416c' }
+        ]);
+        this.charts.renderLine(document.getElementById('balanceChart'), { labels, titles, values: balance, color: '#667eea' });
         
-        if (isNaN(amount) || amount <= 0) {
-            this.showError('Введите корректную сумму');
-            return;
+        const categoriesCard = document.getElementById('categoryChartCard');
+        if (categoriesCard) categoriesCard.style.display = categories.length > 0 ? '' : 'none';
+        if (categories.length > 0) {
+            this.charts.renderDonut(document.getElementById('categoryChart'), { slices: categories });
+            this.charts.renderLegend(document.getElementById('categoryChartLegend'), categories.map(slice => ({
+                label: `${slice.other ? '📦' : this.getCategoryIcon(slice.label)} ${slice.label}`,
+                color: slice.color
+            })));
         }
+    }
+
+    // Фильтр списка транзакций по умолчанию
+    getDefaultListFilter() {
+        return { query: '', type: '', category: '', minAmount: '', maxAmount: '', from: '', to: '', sort: 'date-desc', applyToStats: false };
+    }
+
+    // Задан ли хотя бы один фильтр (сортировка фильтром не считается)
+    isListFilterActive() {
+        const { query, type, category, minAmount, maxAmount, from, to } = this.listFilter;
+        return Boolean(query.trim() || type || category || minAmount !== '' || maxAmount !== '' || from || to);
+    }
+
+    // Транзакции, прошедшие фильтр списка
+    applyListFilter(transactions) {
+        const { query, type, category, minAmount, maxAmount, from, to } = this.listFilter;
+        const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const min = minAmount === '' ? null : parseFloat(minAmount);
+        const max = maxAmount === '' ? null : parseFloat(maxAmount);
         
-        const newTransaction = {
-            id: Date.now().toString() + Math.random().toString(36),
-            type,
-            amount,
-            category,
-            description,
-            date: new Date().toISOString()
-        };
-        
-        try {
-            // Сохраняем транзакцию локально
-            let allTransactions = [];
-            const storedTransactions = localStorage.getItem(`transactions_${this.currentUser.username}`);
-            if (storedTransactions) {
-                try {
-                    allTransactions = JSON.parse(storedTransactions);
-                } catch (e) {
-                    allTransactions = [];
-                }
+        return transactions.filter(t => {
+            if (!t) return false;
+            if (type && t.type !== type) return false;
+            if (category && !this.isCategoryOrChild(t.category, category)) return false;
+            if (words.length > 0) {
+                const description = String(t.description || '').toLowerCase();
+                if (!words.every(word => description.includes(word))) return false;
             }
-            
-            if (!Array.isArray(allTransactions)) {
-                allTransactions = [];
+            if (min !== null || max !== null) {
+                // Суммы сравниваются в базовой валюте, без курса — в валюте операции
+                const amount = this.toBaseAmount(t) ?? (t.amount || 0);
+                if (min !== null && amount < min) return false;
+                if (max !== null && amount > max) return false;
             }
-            
-            allTransactions.push(newTransaction);
-            localStorage.setItem(`transactions_${this.currentUser.username}`, JSON.stringify(allTransactions));
-            
-            // Обновляем временную метку
-            const now = new Date().toISOString();
-            localStorage.setItem(`lastModified_${this.currentUser.username}`, now);
-            
-            // Синхронизируем с глобальным хранилищем
-            this.syncWithGlobal();
-            
-            // Обновляем интерфейс
-            this.loadUserTransactions();
-            
-            // Очищаем форму
-            const transactionForm = document.getElementById('transactionForm');
-            if (transactionForm) transactionForm.reset();
-            
-            // Обновляем категории
-            this.updateCategories();
-            
-            // Показываем уведомление об успехе
-            this.showSuccess('Транзакция успешно добавлена!');
-            
-        } catch (error) {
-            console.error('Error adding transaction:', error);
-            this.showError('Ошибка при добавлении транзакции');
+            if (from || to) {
+                const dateKey = this.toDateKey(new Date(t.date));
+                if (from && dateKey < from) return false;
+                if (to && dateKey > to) return false;
+            }
+            return true;
+        });
+    }
+
+    // Отфильтрованные и отсортированные транзакции периода
+    getListTransactions() {
+        const transactions = this.applyListFilter(this.transactions || []);
+        const byDate = (a, b) => new Date(b.date) - new Date(a.date);
+        const amount = (t) => this.toBaseAmount(t) ?? (t.amount || 0);
+        
+        const comparators = {
+            'date-desc': byDate,
+            'date-asc': (a, b) => -byDate(a, b),
+            'amount-desc': (a, b) => amount(b) - amount(a) || byDate(a, b),
+            'amount-asc': (a, b) => amount(a) - amount(b) || byDate(a, b),
+            'category': (a, b) => this.getTransactionLabel(a).localeCompare(this.getTransactionLabel(b), 'ru') || byDate(a, b)
+        };
+        return transactions.sort(comparators[this.listFilter.sort] || byDate);
+    }
+
+    // Обработка изменения полей фильтра
+    updateListFilter() {
+        const value = (id) => document.getElementById(id)?.value ?? '';
+        this.listFilter = {
+            query: value('filterQuery'),
+            type: value('filterType'),
+            category: value('filterCategory'),
+            minAmount: value('filterMinAmount'),
+            maxAmount: value('filterMaxAmount'),
+            from: value('filterFrom'),
+            to: value('filterTo'),
+            sort: value('filterSort') || 'date-desc',
+            applyToStats: Boolean(document.getElementById('filterApplyToStats')?.checked)
+        };
+        this.writeViewHash();
+        this.updateUI();
+    }
+
+    // Сброс фильтра списка
+    resetListFilter() {
+        this.listFilter = this.getDefaultListFilter();
+        this.fillListFilterForm();
+        this.writeViewHash();
+        this.updateUI();
+    }
+
+    // Перенос состояния фильтра в поля формы
+    fillListFilterForm() {
+        // Категории известны только после входа, до него форма заполняется без списка категорий
+        if (this.currentUser) this.fillFilterCategories();
+        const fields = {
+            filterQuery: 'query',
+            filterType: 'type',
+            filterCategory: 'category',
+            filterMinAmount: 'minAmount',
+            filterMaxAmount: 'maxAmount',
+            filterFrom: 'from',
+            filterTo: 'to',
+            filterSort: 'sort'
+        };
+        Object.entries(fields).forEach(([id, key]) => {
+            const element = document.getElementById(id);
+            if (element) element.value = this.listFilter[key];
+        });
+        const applyToStats = document.getElementById('filterApplyToStats');
+        if (applyToStats) applyToStats.checked = this.listFilter.applyToStats;
+    }
+
+    // Список категорий фильтра: пересобирается, только если категории изменились
+    fillFilterCategories() {
+        const select = document.getElementById('filterCategory');
+        if (!select) return;
+        
+        const groups = ['expense', 'income'].map(type => ({ type, categories: this.getCategories(type, true) }));
+        const signature = JSON.stringify(groups.map(group => group.categories.map(c => c.path)));
+        if (select.dataset.signature !== signature) {
+            select.dataset.signature = signature;
+            setChildren(select,
+                h('option', { value: '' }, 'Все категории'),
+                groups.map(({ type, categories }) => h('optgroup', { label: type === 'income' ? 'Доходы' : 'Расходы' },
+                    categories.map(category => h('option', { value: category.path }, `${category.depth ? '— ' : ''}${category.icon} ${category.name}`))
+                ))
+            );
+        }
+        select.value = this.listFilter.category;
+        // Категорию удалили — фильтр по ней оставляем, но показываем отдельным пунктом
+        if (this.listFilter.category && select.value !== this.listFilter.category) {
+            const option = document.createElement('option');
+            option.value = this.listFilter.category;
+            option.textContent = this.listFilter.category;
+            select.appendChild(option);
+            select.dataset.signature = '';
+            select.value = this.listFilter.category;
+        }
+    }
+
+    // Отрисовка списка транзакций; при сортировке по дате — с группировкой по дням.
+    // Список виртуальный: строится модель строк, а в DOM попадают только видимые строки
+    renderTransactionsList(transactions) {
+        const transactionsList = document.getElementById('transactionsList');
+        if (!transactionsList) return;
+        
+        const summary = document.getElementById('transactionsSummary');
+        if (summary) {
+            summary.textContent = this.isListFilterActive()
+                ? `Найдено: ${transactions.length} из ${this.transactions.length}`
+                : '';
+        }
+        
+        if (transactions.length === 0) {
+            const filtered = this.transactions && this.transactions.length > 0;
+            this.virtualList = null;
+            setChildren(transactionsList, h('div', { class: 'empty-state' },
+                h('div', { class: 'empty-icon' }, filtered ? '🔍' : '📈'),
+                h('p', {}, filtered ? 'Ничего не найдено' : 'Нет транзакций'),
+                h('p', { style: { fontSize: '0.9rem', marginTop: '8px' } }, filtered ? 'Измените условия поиска' : 'Добавьте первую транзакцию')
+            ));
+            return;
         }
-    }
-
-    // Удаление транзакции
-    async deleteTransaction(transactionId) {
-        if (!this.currentUser) return;
         
-        try {
-            const storedTransactions = localStorage.getItem(`transactions_${this.currentUser.username}`);
-            if (storedTransactions) {
-                let allTransactions = JSON.parse(storedTransactions);
-                if (!Array.isArray(allTransactions)) {
-                    allTransactions = [];
+        // Модель строк: заголовки дней и транзакции с фиксированной высотой
+        const rows = [];
+        if (this.listFilter.sort.startsWith('date')) {
+            let day = null;
+            transactions.forEach(transaction => {
+                const dateKey = this.toDateKey(new Date(transaction.date));
+                if (!day || day.dateKey !== dateKey) {
+                    day = { key: `day:${dateKey}`, type: 'day', dateKey, items: [] };
+                    rows.push(day);
                 }
-                
-                const updatedTransactions = allTransactions.filter(t => t.id !== transactionId);
-                localStorage.setItem(`transactions_${this.currentUser.username}`, JSON.stringify(updatedTransactions));
-                
-                // Обновляем временную метку
-                const now = new Date().toISOString();
-                localStorage.setItem(`lastModified_${this.currentUser.username}`, now);
-                
-                // Синхронизируем с глобальным хранилищем
-                this.syncWithGlobal();
-                
-                // Обновляем интерфейс
-                this.loadUserTransactions();
-                
-                this.showSuccess('Транзакция удалена');
-            }
-        } catch (error) {
-            console.error('Error deleting transaction:', error);
-            this.showError('Ошибка при удалении транзакции');
+                day.items.push(transaction);
+                rows.push({ key: transaction.id, type: 'item', transaction });
+            });
+        } else {
+            transactions.forEach(transaction => rows.push({ key: transaction.id, type: 'item', transaction }));
         }
-    }
-
-    // Изменение периода
-    changePeriod(period) {
-        this.currentPeriod = period;
         
-        // Обновляем активную кнопку
-        document.querySelectorAll('.period-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.period === period) {
-                btn.classList.add('active');
-            }
+        const offsets = [];
+        let total = 0;
+        rows.forEach(row => {
+            offsets.push(total);
+            total += this.listRowHeights[row.type];
         });
         
-        // Обновляем информацию о периоде
-        const periodInfo = document.getElementById('periodInfo');
-        if (periodInfo) {
-            const periodText = period === 'month' ? 'текущий месяц' : 
-                              period === 'year' ? 'текущий год' : 'все время';
-            periodInfo.innerHTML = `<span>ℹ️</span> Показаны данные за ${periodText}`;
+        // Список раньше показывал пустое состояние — создаем контейнер строк
+        let spacer = transactionsList.querySelector('.virtual-spacer');
+        if (!spacer || !this.virtualList) {
+            spacer = h('div', { class: 'virtual-spacer' });
+            setChildren(transactionsList, spacer);
         }
+        spacer.style.height = `${total}px`;
         
-        // Перезагружаем транзакции с новым фильтром
-        this.loadUserTransactions();
+        this.virtualList = {
+            rows,
+            offsets,
+            total,
+            spacer,
+            rendered: this.virtualList?.spacer === spacer ? this.virtualList.rendered : new Map()
+        };
+        this.renderVisibleRows();
     }
 
-    // Обновление категорий
-    updateCategories() {
-        const typeSelect = document.getElementById('type');
-        const categorySelect = document.getElementById('category');
+    // Отрисовка строк в видимой области; строки переиспользуются по ключу (id транзакции или дата)
+    renderVisibleRows() {
+        const transactionsList = document.getElementById('transactionsList');
+        if (!transactionsList || !this.virtualList) return;
         
-        if (!typeSelect || !categorySelect) {
-            return;
+        const { rows, offsets, total, spacer, rendered } = this.virtualList;
+        const overscan = 400;
+        const height = transactionsList.clientHeight || 400;
+        // Список мог укоротиться раньше, чем браузер поправил прокрутку
+        const scrollTop = Math.min(transactionsList.scrollTop, Math.max(0, total - height));
+        const top = scrollTop - overscan;
+        const bottom = scrollTop + height + overscan;
+        
+        // Первая видимая строка — двоичным поиском по смещениям
+        let low = 0;
+        let high = rows.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (offsets[middle] <= top) low = middle;
+            else high = middle - 1;
         }
         
-        const type = typeSelect.value;
-        const categories = type === 'income' ? this.incomeCategories : this.expenseCategories;
+        const visible = new Set();
+        for (let index = low; index < rows.length && offsets[index] < bottom; index++) {
+            const row = rows[index];
+            const content = this.getListRowContent(row);
+            const signature = JSON.stringify(content);
+            let entry = rendered.get(row.key);
+            if (!entry) {
+                const element = document.createElement('div');
+                element.className = 'virtual-row';
+                spacer.appendChild(element);
+                entry = { element, signature: null, top: null };
+                rendered.set(row.key, entry);
+            }
+            // DOM меняется, только если строка действительно изменилась или сдвинулась
+            if (entry.signature !== signature) {
+                setChildren(entry.element, this.renderListRow(content));
+                entry.signature = signature;
+            }
+            if (entry.top !== offsets[index]) {
+                entry.element.style.top = `${offsets[index]}px`;
+                entry.top = offsets[index];
+            }
+            visible.add(row.key);
+        }
         
-        categorySelect.innerHTML = '<option value="">Выберите категорию</option>';
-        categories.forEach(category => {
-            const option = document.createElement('option');
-            option.value = category;
-            option.textContent = category;
-            categorySelect.appendChild(option);
+        rendered.forEach((entry, key) => {
+            if (!visible.has(key)) {
+                entry.element.remove();
+                rendered.delete(key);
+            }
         });
     }
 
-    // Расчет статистики
-    calculateStats() {
-        if (!this.transactions || !Array.isArray(this.transactions)) {
-            return { income: 0, expense: 0, balance: 0 };
+    // Отображаемые поля строки списка; по ним же определяется, изменилась ли строка
+    getListRowContent(row) {
+        if (row.type === 'day') {
+            const { balance } = this.calculateStats(row.items);
+            return {
+                type: 'day',
+                title: this.fromDateKey(row.dateKey).toLocaleDateString('ru-RU', { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric' }),
+                amountClass: balance >= 0 ? 'amount-income' : 'amount-expense',
+                amount: `${balance > 0 ? '+' : balance < 0 ? '-' : ''}${this.formatMoney(Math.abs(balance))}`
+            };
         }
         
-        const income = this.transactions
-            .filter(t => t && t.type === 'income')
-            .reduce((sum, t) => sum + (t.amount || 0), 0);
+        const transaction = row.transaction;
+        const meta = [this.getTransactionLabel(transaction)];
+        if (transaction.type !== 'transfer') meta.push(this.getAccountName(this.getTransactionAccountId(transaction)));
+        meta.push(transaction.date ? new Date(transaction.date).toLocaleDateString() : 'Без даты');
+        return {
+            type: 'item',
+            id: transaction.id,
+            selected: this.selectedTransactions.has(transaction.id),
+            description: transaction.description || 'Без описания',
+            meta: meta.join(' • '),
+            amountClass: this.getAmountClass(transaction.type),
+            amount: this.formatSignedAmount(transaction)
+        };
+    }
+
+    // Элемент строки списка; пользовательские поля вставляются только текстом
+    renderListRow(content) {
+        if (content.type === 'day') {
+            return h('div', { class: 'transactions-day' },
+                h('span', {}, content.title),
+                h('span', { class: content.amountClass }, content.amount)
+            );
+        }
         
-        const expense = this.transactions
-            .filter(t => t && t.type === 'expense')
-            .reduce((sum, t) => sum + (t.amount || 0), 0);
+        const args = JSON.stringify([content.id]);
+        return h('div', { class: ['transaction-item', content.selected && 'selected'] },
+            h('input', {
+                type: 'checkbox',
+                class: 'transaction-select',
+                checked: content.selected,
+                'aria-label': 'Выбрать транзакцию',
+                dataset: { change: 'toggleTransactionSelected', args, pass: 'checked' }
+            }),
+            h('div', { class: 'transaction-info' },
+                h('div', { class: 'transaction-description' }, content.description),
+                h('div', { class: 'transaction-meta' }, content.meta)
+            ),
+            h('div', { style: { display: 'flex', alignItems: 'center', gap: '12px' } },
+                h('div', { class: ['transaction-amount', content.amountClass] }, content.amount),
+                h('button', { class: 'edit-btn', dataset: { action: 'showEditModal', args } }, '✏️'),
+                h('button', { class: 'delete-btn', dataset: { action: 'showDeleteModal', args } }, '🗑️')
+            )
+        );
+    }
+
+    // Состояние вида (период и фильтр) хранится в адресе после #, чтобы его можно было сохранить в закладках
+    setupViewHash() {
+        this.readViewHash();
+        window.addEventListener('hashchange', () => {
+            this.readViewHash();
+            if (this.currentUser) this.loadUserTransactions();
+        });
+    }
+
+    // Чтение состояния вида из адреса
+    readViewHash() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+        const isAmount = (value) => value !== null && value !== '' && !isNaN(parseFloat(value));
         
-        const balance = income - expense;
+        const period = params.get('period');
+        if (period === 'custom' && isDateKey(params.get('pfrom')) && isDateKey(params.get('pto')) && params.get('pfrom') <= params.get('pto')) {
+            this.customRange = { from: params.get('pfrom'), to: params.get('pto') };
+            this.currentPeriod = 'custom';
+        } else if (['week', 'month', 'quarter', 'year', 'all'].includes(period)) {
+            this.currentPeriod = period;
+        } else {
+            this.currentPeriod = 'month';
+        }
+        const offset = parseInt(params.get('offset'), 10);
+        this.periodOffset = this.currentPeriod !== 'all' && Number.isInteger(offset) ? offset : 0;
+        this.compareMode = params.get('compare') === '1';
         
-        return { income, expense, balance };
+        const defaults = this.getDefaultListFilter();
+        this.listFilter = {
+            query: params.get('q') || '',
+            type: ['income', 'expense', 'transfer'].includes(params.get('type')) ? params.get('type') : '',
+            category: params.get('category') || '',
+            minAmount: isAmount(params.get('min')) ? params.get('min') : '',
+            maxAmount: isAmount(params.get('max')) ? params.get('max') : '',
+            from: isDateKey(params.get('from')) ? params.get('from') : '',
+            to: isDateKey(params.get('to')) ? params.get('to') : '',
+            sort: ['date-desc', 'date-asc', 'amount-desc', 'amount-asc', 'category'].includes(params.get('sort')) ? params.get('sort') : defaults.sort,
+            applyToStats: params.get('stats') === '1'
+        };
+        this.fillListFilterForm();
     }
 
-    // Получение топ категорий
-    getTopCategories() {
-        if (!this.transactions || !Array.isArray(this.transactions)) {
-            return [];
+    // Запись состояния вида в адрес без новой записи в истории браузера
+    writeViewHash() {
+        const params = new URLSearchParams();
+        if (this.currentPeriod !== 'month') params.set('period', this.currentPeriod);
+        if (this.currentPeriod === 'custom') {
+            params.set('pfrom', this.customRange.from);
+            params.set('pto', this.customRange.to);
         }
+        if (this.periodOffset !== 0) params.set('offset', this.periodOffset);
+        if (this.compareMode) params.set('compare', '1');
         
-        const categoryTotals = {};
-        
-        this.transactions.forEach(transaction => {
-            if (transaction && transaction.category) {
-                if (!categoryTotals[transaction.category]) {
-                    categoryTotals[transaction.category] = 0;
-                }
-                categoryTotals[transaction.category] += transaction.amount || 0;
-            }
-        });
+        const { query, type, category, minAmount, maxAmount, from, to, sort, applyToStats } = this.listFilter;
+        if (query.trim()) params.set('q', query.trim());
+        if (type) params.set('type', type);
+        if (category) params.set('category', category);
+        if (minAmount !== '') params.set('min', minAmount);
+        if (maxAmount !== '') params.set('max', maxAmount);
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (sort !== 'date-desc') params.set('sort', sort);
+        if (applyToStats) params.set('stats', '1');
         
-        return Object.entries(categoryTotals)
-            .sort(([, a], [, b]) => b - a)
-            .slice(0, 6)
-            .map(([category, amount]) => ({ category, amount }));
+        const hash = params.toString();
+        if (hash === window.location.hash.slice(1)) return;
+        history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
     }
 
     // Обновление интерфейса
     updateUI() {
         if (!this.currentUser) return;
         
-        const { income, expense, balance } = this.calculateStats();
+        const listTransactions = this.getListTransactions();
+        const statsTransactions = this.listFilter.applyToStats ? listTransactions : this.transactions;
+        const { income, expense, balance, unconverted } = this.calculateStats(statsTransactions);
         const topCategories = this.getTopCategories();
         
+        // В режиме сравнения — те же показатели за предыдущий период
+        const previousTransactions = this.isComparing()
+            ? this.filterTransactionsByPeriod(this.allTransactions, this.currentPeriod, this.periodOffset - 1)
+            : null;
+        const previousStats = previousTransactions
+            ? this.calculateStats(this.listFilter.applyToStats ? this.applyListFilter(previousTransactions) : previousTransactions)
+            : null;
+        const previousCategories = previousTransactions ? this.getCategoryTotals(previousTransactions) : null;
+        
         // Обновляем статистику
         const balanceEl = document.getElementById('balance');
         const incomeEl = document.getElementById('income');
         const expenseEl = document.getElementById('expense');
         
-        if (balanceEl) balanceEl.textContent = `₽${balance.toFixed(2)}`;
-        if (incomeEl) incomeEl.textContent = `₽${income.toFixed(2)}`;
-        if (expenseEl) expenseEl.textContent = `₽${expense.toFixed(2)}`;
+        if (balanceEl) balanceEl.textContent = this.formatMoney(balance);
+        if (incomeEl) incomeEl.textContent = this.formatMoney(income);
+        if (expenseEl) expenseEl.textContent = this.formatMoney(expense);
         
         // Обновляем период в статистике
-        const periodText = this.currentPeriod === 'month' ? 'этот месяц' : 
-                          this.currentPeriod === 'year' ? 'этот год' : 'все время';
+        const periodText = this.getPeriodLabel();
+        const filterText = this.listFilter.applyToStats && this.isListFilterActive() ? ' • с фильтром' : '';
         
         const balancePeriodEl = document.getElementById('balancePeriod');
         const incomePeriodEl = document.getElementById('incomePeriod');
         const expensePeriodEl = document.getElementById('expensePeriod');
         
-        if (balancePeriodEl) balancePeriodEl.textContent = `за ${periodText}`;
-        if (incomePeriodEl) incomePeriodEl.textContent = `за ${periodText}`;
-        if (expensePeriodEl) expensePeriodEl.textContent = `за ${periodText}`;
+        if (balancePeriodEl) balancePeriodEl.textContent = unconverted > 0
+            ? `за ${periodText}${filterText} • без курса: ${unconverted}`
+            : `за ${periodText}${filterText}`;
+        if (incomePeriodEl) incomePeriodEl.textContent = `за ${periodText}${filterText}`;
+        if (expensePeriodEl) expensePeriodEl.textContent = `за ${periodText}${filterText}`;
+        
+        [['balanceDelta', balance, 'balance'], ['incomeDelta', income, 'income'], ['expenseDelta', expense, 'expense']].forEach(([id, value, key]) => {
+            const deltaEl = document.getElementById(id);
+            if (deltaEl) setChildren(deltaEl, previousStats ? this.renderDelta(value, previousStats[key], key === 'expense') : null);
+        });
         
         // Обновляем список транзакций
-        const transactionsList = document.getElementById('transactionsList');
-        if (transactionsList) {
-            if (!this.transactions || this.transactions.length === 0) {
-                transactionsList.innerHTML = `
-                    <div class="empty-state">
-                        <div class="empty-icon">📈</div>
-                        <p>Нет транзакций</p>
-                        <p style="font-size: 0.9rem; margin-top: 8px;">Добавьте первую транзакцию</p>
-                    </div>
-                `;
-            } else {
-                transactionsList.innerHTML = this.transactions
-                    .slice()
-                    .reverse()
-                    .map(transaction => `
-                        <div class="transaction-item">
-                            <div class="transaction-info">
-                                <div class="transaction-description">${transaction.description || 'Без описания'}</div>
-                                <div class="transaction-meta">${transaction.category || 'Без категории'} • ${transaction.date ? new Date(transaction.date).toLocaleDateString() : 'Без даты'}</div>
-                            </div>
-                            <div style="display: flex; align-items: center; gap: 12px;">
-                                <div class="transaction-amount ${transaction.type === 'income' ? 'amount-income' : 'amount-expense'}">
-                                    ${transaction.type === 'income' ? '+' : '-'}₽${(transaction.amount || 0).toFixed(2)}
-                                </div>
-                                <button class="delete-btn" onclick="financeAuth.showDeleteModal('${transaction.id}')">
-                                    🗑️
-                                </button>
-                            </div>
-                        </div>
-                    `).join('');
-            }
-        }
+        this.fillFilterCategories();
+        this.updateBulkBar();
+        this.renderTransactionsList(listTransactions);
+        if (document.getElementById('trashModal')?.classList.contains('active')) this.renderTrash();
         
         // Обновляем топ категорий
         const categoriesCard = document.getElementById('categoriesCard');
@@ -994,16 +6722,22 @@ class FinanceAuth {
         
         if (topCategories.length > 0 && categoriesCard && categoriesGrid) {
             categoriesCard.style.display = 'block';
-            categoriesGrid.innerHTML = topCategories.map(({ category, amount }) => {
-                const icon = this.getCategoryIcon(category);
-                return `
-                    <div class="category-item">
-                        <div class="category-icon">${icon}</div>
-                        <div class="category-name">${category}</div>
-                        <div class="category-amount">₽${amount.toFixed(2)}</div>
-                    </div>
-                `;
-            }).join('');
+            // Бюджеты месячные: для других периодов указываем, за какой месяц показан прогресс
+            const monthKey = this.getBudgetMonthKey();
+            const budgetMonth = this.currentPeriod === 'month' ? null : this.formatMonthKey(monthKey);
+            setChildren(categoriesGrid, topCategories.map(({ category, amount }) => {
+                const budgetStatus = this.getBudgetStatus(category, monthKey);
+                const color = this.getCategoryColor(category);
+                return h('div', { class: 'category-item', style: color ? { borderTop: `4px solid ${color}` } : null },
+                    h('div', { class: 'category-icon' }, this.getCategoryIcon(category)),
+                    h('div', { class: 'category-name' }, category),
+                    h('div', { class: 'category-amount' }, this.formatMoney(amount)),
+                    previousCategories
+                        ? h('div', { class: 'category-delta' }, this.renderDelta(amount, previousCategories[category] || 0, Boolean(this.findCategoryByPath(category, 'expense'))))
+                        : null,
+                    budgetStatus ? this.renderBudgetProgress(budgetStatus, budgetMonth) : null
+                );
+            }));
         } else if (categoriesCard) {
             categoriesCard.style.display = 'none';
         }
@@ -1019,26 +6753,408 @@ class FinanceAuth {
             categoriesDescription.textContent = `Самые крупные статьи доходов и расходов за ${periodText}`;
         }
         
+        // Обновляем счета, регулярные платежи и бюджеты
+        this.renderAccountBalances();
+        this.renderRecurring();
+        this.renderBudgets();
+        this.renderGoals();
+        this.renderCharts();
+        
         // Обновляем статус синхронизации
         this.updateSyncStatus();
     }
 
     // Получение иконки категории
     getCategoryIcon(category) {
-        const icons = {
-            'Продукты': '🛒',
-            'Транспорт': '🚗',
-            'Жилье': '🏠',
-            'Развлечения': '🎮',
-            'Здоровье': '🏥',
-            'Одежда': '👕',
-            'Образование': '📚',
-            'Зарплата': '💼',
-            'Подработка': '💰',
-            'Инвестиции': '📈',
-            'Подарки': '🎁'
-        };
-        return icons[category] || '📌';
+        const found = this.findCategoryByPath(category) || this.findCategoryByPath(this.getRootCategory(category || ''));
+        if (found && found.icon) return found.icon;
+        return this.defaultCategoryIcons[category] || '📌';
+    }
+
+    // Получение цвета категории
+    getCategoryColor(category) {
+        const found = this.findCategoryByPath(category);
+        return found && /^#[0-9a-f]{6}$/i.test(found.color || '') ? found.color : null;
+    }
+
+    // Категории по умолчанию для новых пользователей
+    getDefaultCategories() {
+        const build = (names, type) => names.map((name, index) => ({
+            id: `cat_${type}_${index}`,
+            name,
+            type,
+            icon: this.defaultCategoryIcons[name] || '📌',
+            color: '#667eea',
+            parentId: null,
+            archived: false,
+            order: index
+        }));
+        return [
+            ...build(this.defaultIncomeCategories, 'income'),
+            ...build(this.defaultExpenseCategories, 'expense')
+        ];
+    }
+
+    // Полный путь категории («Транспорт › Такси»)
+    getCategoryPath(category, categories = this.getUserCollection('categories')) {
+        const parent = category.parentId ? categories.find(c => c.id === category.parentId) : null;
+        return parent ? `${parent.name}${this.categorySeparator}${category.name}` : category.name;
+    }
+
+    // Родительская категория из пути
+    getRootCategory(path) {
+        return String(path).split(this.categorySeparator)[0];
+    }
+
+    // Проверка, что путь совпадает с категорией или ее подкатегорией
+    isCategoryOrChild(path, category) {
+        return path === category || (typeof path === 'string' && path.startsWith(category + this.categorySeparator));
+    }
+
+    // Категории типа в порядке отображения: родитель, затем подкатегории
+    getCategories(type, includeArchived = false) {
+        const categories = this.getUserCollection('categories');
+        const visible = categories
+            .filter(c => c.type === type && (includeArchived || !c.archived))
+            .sort((a, b) => a.order - b.order);
+        
+        const result = [];
+        visible.filter(c => !c.parentId).forEach(parent => {
+            result.push({ ...parent, path: this.getCategoryPath(parent, categories), depth: 0 });
+            visible.filter(c => c.parentId === parent.id).forEach(child => {
+                result.push({ ...child, path: this.getCategoryPath(child, categories), depth: 1 });
+            });
+        });
+        return result;
+    }
+
+    // Поиск категории по пути
+    findCategoryByPath(path, type = null) {
+        const categories = this.getUserCollection('categories');
+        return categories.find(c => (!type || c.type === type) && this.getCategoryPath(c, categories) === path) || null;
+    }
+
+    // Замена пути категории во всех связанных данных
+    async rewriteCategoryReferences(type, mapPath) {
+        // Транзакции
+        const now = new Date().toISOString();
+        const renamed = this.allTransactions
+            .filter(t => t.type === type && mapPath(t.category) !== t.category)
+            .map(t => ({ ...t, category: mapPath(t.category), updatedAt: now }));
+        if (renamed.length > 0) {
+            await this.saveUserTransactions({ upserts: renamed });
+        }
+        
+        // Регулярные платежи
+        const rules = this.getUserCollection('recurring').map(rule => {
+            if (rule.type !== type) return rule;
+            const exceptions = Object.fromEntries(Object.entries(rule.exceptions || {}).map(([key, exception]) => [
+                key,
+                exception.category ? { ...exception, category: mapPath(exception.category) } : exception
+            ]));
+            return { ...rule, category: mapPath(rule.category), exceptions };
+        });
+        if (JSON.stringify(rules) !== JSON.stringify(this.getUserCollection('recurring'))) {
+            await this.saveUserCollection('recurring', rules);
+        }
+        
+        // Правила автокатегоризации импорта
+        const importRules = this.getUserCollection('importRules').map(rule =>
+            rule.type === type ? { ...rule, category: mapPath(rule.category) } : rule
+        );
+        if (JSON.stringify(importRules) !== JSON.stringify(this.getUserCollection('importRules'))) {
+            await this.saveUserCollection('importRules', importRules);
+        }
+        
+        // Бюджеты (только для расходов)
+        if (type === 'expense') {
+            const budgets = {};
+            Object.entries(this.getUserCollection('budgets')).forEach(([category, budget]) => {
+                const newCategory = mapPath(category);
+                if (!budgets[newCategory]) budgets[newCategory] = budget;
+            });
+            if (JSON.stringify(budgets) !== JSON.stringify(this.getUserCollection('budgets'))) {
+                await this.saveUserCollection('budgets', budgets);
+            }
+        }
+    }
+
+    // Замена префикса пути при переименовании
+    remapCategoryPath(path, oldPath, newPath) {
+        if (path === oldPath) return newPath;
+        if (this.isCategoryOrChild(path, oldPath)) return newPath + path.slice(oldPath.length);
+        return path;
+    }
+
+    // Показать окно управления категориями
+    showCategoriesModal() {
+        const typeSelect = document.getElementById('type');
+        this.categoryManageType = typeSelect ? typeSelect.value : 'expense';
+        this.resetCategoryForm();
+        
+        const modal = document.getElementById('categoriesModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно управления категориями
+    closeCategoriesModal() {
+        const modal = document.getElementById('categoriesModal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    // Переключение типа категорий в окне управления
+    switchCategoryType(type) {
+        this.categoryManageType = type;
+        this.resetCategoryForm();
+    }
+
+    // Показать ошибку в окне категорий
+    showCategoriesError(message) {
+        const errorEl = document.getElementById('categoriesError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.classList.add('show');
+        }
+    }
+
+    // Сброс формы категории
+    resetCategoryForm() {
+        const form = document.getElementById('categoryForm');
+        if (form) form.reset();
+        
+        const idInput = document.getElementById('categoryId');
+        const colorInput = document.getElementById('categoryColor');
+        const submitBtn = document.getElementById('categorySubmitBtn');
+        const mergeGroup = document.getElementById('categoryMergeGroup');
+        const errorEl = document.getElementById('categoriesError');
+        
+        if (idInput) idInput.value = '';
+        if (colorInput) colorInput.value = '#667eea';
+        if (submitBtn) submitBtn.textContent = 'Добавить';
+        if (mergeGroup) mergeGroup.style.display = 'none';
+        if (errorEl) errorEl.classList.remove('show');
+        
+        this.renderCategoriesModal();
+    }
+
+    // Заполнение формы для редактирования категории
+    editCategory(categoryId) {
+        const category = this.getUserCollection('categories').find(c => c.id === categoryId);
+        if (!category) return;
+        
+        this.renderCategoriesModal(categoryId);
+        
+        document.getElementById('categoryId').value = category.id;
+        document.getElementById('categoryName').value = category.name;
+        document.getElementById('categoryParent').value = category.parentId || '';
+        document.getElementById('categoryIcon').value = category.icon || '';
+        document.getElementById('categoryColor').value = category.color || '#667eea';
+        document.getElementById('categorySubmitBtn').textContent = 'Сохранить';
+        document.getElementById('categoryMergeGroup').style.display = 'block';
+    }
+
+    // Отображение списка категорий в окне управления
+    renderCategoriesModal(editingId = null) {
+        const type = this.categoryManageType;
+        
+        document.querySelectorAll('.category-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.categoryType === type);
+        });
+        
+        // Родительской может быть только категория верхнего уровня
+        const parentSelect = document.getElementById('categoryParent');
+        if (parentSelect) {
+            parentSelect.innerHTML = '<option value="">Нет (верхний уровень)</option>';
+            this.getCategories(type).filter(c => c.depth === 0 && c.id !== editingId).forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.id;
+                option.textContent = `${category.icon} ${category.name}`;
+                parentSelect.appendChild(option);
+            });
+        }
+        
+        const mergeSelect = document.getElementById('categoryMerge');
+        if (mergeSelect) {
+            mergeSelect.innerHTML = '<option value="">Не объединять</option>';
+            this.getCategories(type).filter(c => c.id !== editingId).forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.id;
+                option.textContent = `${category.icon} ${category.path}`;
+                mergeSelect.appendChild(option);
+            });
+        }
+        
+        const list = document.getElementById('categoryManageList');
+        if (!list) return;
+        
+        setChildren(list, this.getCategories(type, true).map(category => {
+            const args = JSON.stringify([category.id]);
+            return h('div', { class: ['category-manage-item', category.archived && 'archived', category.depth && 'child'] },
+                h('span', { class: 'category-color-dot', style: { background: this.getCategoryColor(category.path) || '#e5e7eb' } }),
+                h('span', { class: 'category-manage-name' }, `${category.icon} ${category.name}`),
+                h('button', { type: 'button', class: 'edit-btn', title: 'Выше', dataset: { action: 'moveCategory', args: JSON.stringify([category.id, -1]) } }, '⬆️'),
+                h('button', { type: 'button', class: 'edit-btn', title: 'Ниже', dataset: { action: 'moveCategory', args: JSON.stringify([category.id, 1]) } }, '⬇️'),
+                h('button', { type: 'button', class: 'edit-btn', title: 'Изменить', dataset: { action: 'editCategory', args } }, '✏️'),
+                h('button', { type: 'button', class: 'edit-btn', title: category.archived ? 'Восстановить' : 'В архив', dataset: { action: 'toggleCategoryArchived', args } },
+                    category.archived ? '♻️' : '📦'
+                )
+            );
+        }));
+    }
+
+    // Добавление или изменение категории
+    async handleSaveCategory(event) {
+        event.preventDefault();
+        
+        if (!this.currentUser) return;
+        
+        const id = document.getElementById('categoryId')?.value;
+        const name = (document.getElementById('categoryName')?.value || '').trim();
+        const parentId = document.getElementById('categoryParent')?.value || null;
+        const icon = (document.getElementById('categoryIcon')?.value || '').trim() || '📌';
+        const color = document.getElementById('categoryColor')?.value || '#667eea';
+        const mergeId = document.getElementById('categoryMerge')?.value;
+        const type = this.categoryManageType;
+        
+        if (id && mergeId) {
+            await this.mergeCategory(id, mergeId);
+            return;
+        }
+        
+        if (!name) {
+            this.showCategoriesError('Введите название категории');
+            return;
+        }
+        
+        if (name.includes(this.categorySeparator.trim())) {
+            this.showCategoriesError(`Название не может содержать «${this.categorySeparator.trim()}»`);
+            return;
+        }
+        
+        const categories = this.getUserCollection('categories');
+        const duplicate = categories.find(c => c.type === type && c.id !== id &&
+                                               (c.parentId || null) === parentId && c.name.toLowerCase() === name.toLowerCase());
+        if (duplicate) {
+            this.showCategoriesError('Такая категория уже существует');
+            return;
+        }
+        
+        // Категория с подкатегориями не может стать подкатегорией
+        if (id && parentId && categories.some(c => c.parentId === id)) {
+            this.showCategoriesError('Категория с подкатегориями не может быть вложенной');
+            return;
+        }
+        
+        try {
+            if (id) {
+                const existing = categories.find(c => c.id === id);
+                const oldPath = this.getCategoryPath(existing, categories);
+                const updated = categories.map(c => c.id === id ? { ...c, name, parentId, icon, color } : c);
+                const newPath = this.getCategoryPath(updated.find(c => c.id === id), updated);
+                
+                await this.saveUserCollection('categories', updated);
+                if (oldPath !== newPath) {
+                    await this.rewriteCategoryReferences(type, path => this.remapCategoryPath(path, oldPath, newPath));
+                    await this.syncWithGlobal();
+                }
+            } else {
+                const siblings = categories.filter(c => c.type === type && (c.parentId || null) === parentId);
+                const category = {
+                    id: 'cat_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+                    name,
+                    type,
+                    icon,
+                    color,
+                    parentId,
+                    archived: false,
+                    order: siblings.length ? Math.max(...siblings.map(c => c.order)) + 1 : 0
+                };
+                await this.saveUserCollection('categories', [...categories, category]);
+            }
+            
+            this.afterCategoriesChanged();
+        } catch (error) {
+            console.error('Error saving category:', error);
+            this.showCategoriesError('Ошибка при сохранении категории');
+        }
+    }
+
+    // Объединение категории с другой (транзакции переносятся)
+    async mergeCategory(sourceId, targetId) {
+        const categories = this.getUserCollection('categories');
+        const source = categories.find(c => c.id === sourceId);
+        const target = categories.find(c => c.id === targetId);
+        if (!source || !target || source.type !== target.type) return;
+        
+        if (target.parentId === source.id) {
+            this.showCategoriesError('Нельзя объединить категорию с ее подкатегорией');
+            return;
+        }
+        
+        const sourcePath = this.getCategoryPath(source, categories);
+        const targetPath = this.getCategoryPath(target, categories);
+        
+        try {
+            // Подкатегории источника переходят в целевую категорию вместе с ним
+            const remaining = categories.filter(c => c.id !== sourceId && c.parentId !== sourceId);
+            await this.saveUserCollection('categories', remaining);
+            await this.rewriteCategoryReferences(source.type, path => this.isCategoryOrChild(path, sourcePath) ? targetPath : path);
+            await this.syncWithGlobal();
+            
+            this.afterCategoriesChanged();
+            this.showSyncNotification(`Категория «${source.name}» объединена с «${target.name}»`);
+        } catch (error) {
+            console.error('Error merging categories:', error);
+            this.showCategoriesError('Ошибка при объединении категорий');
+        }
+    }
+
+    // Перемещение категории вверх или вниз среди соседей
+    async moveCategory(categoryId, direction) {
+        const categories = this.getUserCollection('categories');
+        const category = categories.find(c => c.id === categoryId);
+        if (!category) return;
+        
+        const siblings = categories
+            .filter(c => c.type === category.type && (c.parentId || null) === (category.parentId || null))
+            .sort((a, b) => a.order - b.order);
+        const index = siblings.findIndex(c => c.id === categoryId);
+        const swapWith = siblings[index + direction];
+        if (!swapWith) return;
+        
+        const orders = new Map(siblings.map((c, i) => [c.id, i]));
+        orders.set(category.id, index + direction);
+        orders.set(swapWith.id, index);
+        
+        try {
+            await this.saveUserCollection('categories', categories.map(c => orders.has(c.id) ? { ...c, order: orders.get(c.id) } : c));
+            this.afterCategoriesChanged();
+        } catch (error) {
+            console.error('Error reordering categories:', error);
+            this.showCategoriesError('Ошибка при сохранении порядка');
+        }
+    }
+
+    // Архивирование категории (существующие транзакции не меняются)
+    async toggleCategoryArchived(categoryId) {
+        const categories = this.getUserCollection('categories').map(c =>
+            c.id === categoryId ? { ...c, archived: !c.archived } : c
+        );
+        
+        try {
+            await this.saveUserCollection('categories', categories);
+            this.afterCategoriesChanged();
+        } catch (error) {
+            console.error('Error archiving category:', error);
+            this.showCategoriesError('Ошибка при сохранении категории');
+        }
+    }
+
+    // Обновление интерфейса после изменения категорий
+    afterCategoriesChanged() {
+        this.resetCategoryForm();
+        this.updateCategories();
+        this.loadUserTransactions();
     }
 
     // Показать модальное окно удаления
@@ -1053,10 +7169,10 @@ class FinanceAuth {
         const modalAmount = document.getElementById('modalTransactionAmount');
         
         if (modalDesc) modalDesc.textContent = transaction.description || 'Без описания';
-        if (modalMeta) modalMeta.textContent = `${transaction.category || 'Без категории'} • ${transaction.date ? new Date(transaction.date).toLocaleDateString() : 'Без даты'}`;
+        if (modalMeta) modalMeta.textContent = `${this.getTransactionLabel(transaction)} • ${transaction.date ? new Date(transaction.date).toLocaleDateString() : 'Без даты'}`;
         if (modalAmount) {
-            modalAmount.textContent = `${transaction.type === 'income' ? '+' : '-'}₽${(transaction.amount || 0).toFixed(2)}`;
-            modalAmount.className = `modal-transaction-amount ${transaction.type === 'income' ? 'amount-income' : 'amount-expense'}`;
+            modalAmount.textContent = this.formatSignedAmount(transaction);
+            modalAmount.className = `modal-transaction-amount ${this.getAmountClass(transaction.type)}`;
         }
         
         const modal = document.getElementById('deleteModal');
@@ -1073,11 +7189,40 @@ class FinanceAuth {
     // Подтвердить удаление
     confirmDelete() {
         if (this.transactionToDelete) {
-            this.deleteTransaction(this.transactionToDelete.id);
+            this.deleteTransactions([this.transactionToDelete.id]);
             this.closeDeleteModal();
         }
     }
 
+    // Окно подтверждения необратимого действия поверх остальных окон
+    showConfirmModal({ title, description, confirmText = 'Удалить', onConfirm }) {
+        const titleEl = document.getElementById('confirmModalTitle');
+        const descriptionEl = document.getElementById('confirmModalDescription');
+        const confirmBtn = document.getElementById('confirmModalBtn');
+        
+        if (titleEl) titleEl.textContent = title;
+        if (descriptionEl) descriptionEl.textContent = description;
+        if (confirmBtn) confirmBtn.textContent = confirmText;
+        this.pendingConfirm = onConfirm;
+        
+        const modal = document.getElementById('confirmModal');
+        if (modal) modal.classList.add('active');
+    }
+
+    // Закрыть окно подтверждения
+    closeConfirmModal() {
+        const modal = document.getElementById('confirmModal');
+        if (modal) modal.classList.remove('active');
+        this.pendingConfirm = null;
+    }
+
+    // Выполнить подтвержденное действие
+    acceptConfirmModal() {
+        const action = this.pendingConfirm;
+        this.closeConfirmModal();
+        if (action) action();
+    }
+
     // Показать интерфейс аутентификации
     showAuth() {
         const authContainer = document.getElementById('authContainer');
@@ -1139,8 +7284,101 @@ class FinanceAuth {
         if (successEl) successEl.classList.remove('show');
     }
 
-    // Показать уведомление о синхронизации
-    showSyncNotification(message = 'Данные синхронизированы') {
+    // Оболочка приложения: офлайн-режим, обновления и установка
+    setupAppShell() {
+        window.addEventListener('online', () => this.updateOnlineStatus());
+        window.addEventListener('offline', () => this.updateOnlineStatus());
+        this.updateOnlineStatus();
+
+        // Браузер готов предложить установку — показываем свою кнопку
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.installPrompt = event;
+            this.toggleAppShellElement('installBtn', true);
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            this.toggleAppShellElement('installBtn', false);
+        });
+
+        this.registerServiceWorker();
+    }
+
+    // Показ или скрытие плашки в области состояния
+    toggleAppShellElement(id, visible) {
+        const element = document.getElementById(id);
+        if (element) element.classList.toggle('show', visible);
+    }
+
+    updateOnlineStatus() {
+        this.toggleAppShellElement('offlineIndicator', !navigator.onLine);
+    }
+
+    // Регистрация Service Worker и отслеживание новых версий
+    async registerServiceWorker() {
+        // Service Worker работает только по http(s), при открытии файла напрямую приложение работает без него
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.register(this.serviceWorkerUrl);
+
+            // Новая версия уже установлена и ждет — например, после закрытой без обновления вкладки
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    // Без controller это первая установка, а не обновление
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+
+            // Перезагружаем страницу, только если обновление запросил пользователь этой вкладки
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updateRequested) window.location.reload();
+            });
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    }
+
+    showUpdatePrompt(worker) {
+        this.waitingWorker = worker;
+        this.toggleAppShellElement('updateBanner', true);
+    }
+
+    // Активация новой версии: страница перезагрузится после смены Service Worker
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        this.updateRequested = true;
+        this.toggleAppShellElement('updateBanner', false);
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    async installApp() {
+        if (!this.installPrompt) return;
+        const prompt = this.installPrompt;
+        this.installPrompt = null;
+        this.toggleAppShellElement('installBtn', false);
+
+        prompt.prompt();
+        const { outcome } = await prompt.userChoice;
+        if (outcome === 'accepted') {
+            this.showSyncNotification('Приложение установлено');
+        }
+    }
+
+    // Показать уведомление о синхронизации; предупреждение не перекрывается обычными уведомлениями,
+    // которые приходят следом при сохранении и синхронизации
+    showSyncNotification(message = 'Данные синхронизированы', warning = false) {
+        if (!warning && Date.now() < this.warningShownUntil) return;
+        if (warning) this.warningShownUntil = Date.now() + 3000;
+        
         const syncStatus = document.getElementById('syncStatus');
         if (syncStatus) {
             syncStatus.textContent = message;
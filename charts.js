@@ -0,0 +1,201 @@
+// Финансовый трекер - Графики на SVG без внешних библиотек
+//
+// Данные готовит FinanceAuth, здесь только отрисовка:
+//   renderBars(container, { labels, titles, series: [{ name, color, values }] }) — столбцы по периодам;
+//   renderLine(container, { labels, titles, values, color }) — линия значений во времени;
+//   renderDonut(container, { slices: [{ label, value, color }] }) — доли от общей суммы.
+// labels — подписи оси, titles — полные названия периодов для подсказок.
+// Подсказка показывается для любого элемента с атрибутом data-tooltip.
+
+class FinanceCharts {
+    constructor(formatValue = value => String(value)) {
+        this.formatValue = formatValue;
+        this.width = 600;
+        this.height = 300;
+        this.padding = { top: 20, right: 16, bottom: 32, left: 64 };
+        this.palette = ['#667eea', '#56ab2f', '#ff416c', '#fbbf24', '#06b6d4', '#a855f7', '#f97316', '#9ca3af'];
+    }
+
+    // Экранирование текста для вставки в SVG
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Вставка SVG и подключение подсказок
+    mount(container, content) {
+        container.innerHTML = `
+            <svg class="chart-svg" viewBox="0 0 ${this.width} ${this.height}" role="img">${content}</svg>
+            <div class="chart-tooltip"></div>
+        `;
+        this.attachTooltip(container);
+    }
+
+    // Одни обработчики на контейнер, содержимое может перерисовываться
+    attachTooltip(container) {
+        if (container.dataset.tooltipReady) return;
+        container.dataset.tooltipReady = 'true';
+
+        container.addEventListener('pointermove', (event) => {
+            const tooltip = container.querySelector('.chart-tooltip');
+            const target = event.target.closest ? event.target.closest('[data-tooltip]') : null;
+            if (!tooltip) return;
+            if (!target) {
+                tooltip.classList.remove('show');
+                return;
+            }
+            const rect = container.getBoundingClientRect();
+            tooltip.textContent = target.dataset.tooltip;
+            tooltip.style.left = `${event.clientX - rect.left}px`;
+            tooltip.style.top = `${event.clientY - rect.top}px`;
+            tooltip.classList.add('show');
+        });
+        container.addEventListener('pointerleave', () => {
+            const tooltip = container.querySelector('.chart-tooltip');
+            if (tooltip) tooltip.classList.remove('show');
+        });
+    }
+
+    // Округленный шаг шкалы: 1, 2 или 5 с нужным порядком
+    niceStep(range, ticks) {
+        const raw = range / ticks || 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].find(m => m * magnitude >= raw);
+        return step * magnitude;
+    }
+
+    // Шкала значений: диапазон всегда включает ноль
+    createScale(values) {
+        const min = Math.min(0, ...values);
+        const max = Math.max(0, ...values);
+        const step = this.niceStep(max - min, 4);
+        const low = Math.floor(min / step) * step;
+        const high = Math.max(Math.ceil(max / step) * step, low + step);
+        const top = this.padding.top;
+        const bottom = this.height - this.padding.bottom;
+
+        const ticks = [];
+        for (let value = low; value <= high + step / 2; value += step) ticks.push(value);
+
+        return { ticks, y: value => bottom - (value - low) / (high - low) * (bottom - top) };
+    }
+
+    // Сетка и подписи осей
+    renderAxes(scale, labels, slotWidth) {
+        const left = this.padding.left;
+        const right = this.width - this.padding.right;
+        const grid = scale.ticks.map(value => `
+            <line class="chart-grid" x1="${left}" x2="${right}" y1="${scale.y(value)}" y2="${scale.y(value)}"></line>
+            <text class="chart-axis" x="${left - 8}" y="${scale.y(value) + 4}" text-anchor="end">${this.escape(this.formatTick(value))}</text>
+        `).join('');
+
+        // Подписи периодов прореживаем, чтобы они не наезжали друг на друга
+        const every = Math.ceil(labels.length / 12);
+        const axis = labels.map((label, index) => index % every === 0 ? `
+            <text class="chart-axis" x="${left + slotWidth * (index + 0.5)}" y="${this.height - 10}" text-anchor="middle">${this.escape(label)}</text>
+        ` : '').join('');
+
+        return grid + axis;
+    }
+
+    // Короткая подпись шкалы: 1.5k, 2M
+    formatTick(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+        if (abs >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+        return String(+value.toFixed(2));
+    }
+
+    // Столбцы: по группе на каждый период, внутри группы — серии рядом
+    renderBars(container, { labels, titles = labels, series }) {
+        const scale = this.createScale(series.flatMap(item => item.values));
+        const slotWidth = (this.width - this.padding.left - this.padding.right) / labels.length;
+        const barWidth = Math.max(1, slotWidth * 0.8 / series.length);
+        const zero = scale.y(0);
+
+        const bars = titles.map((title, index) => {
+            const tooltip = [title, ...series.map(item => `${item.name}: ${this.formatValue(item.values[index])}`)].join('\n');
+            const groupLeft = this.padding.left + slotWidth * index + slotWidth * 0.1;
+            return `
+                <g data-tooltip="${this.escape(tooltip)}">
+                    <rect class="chart-hit" x="${this.padding.left + slotWidth * index}" y="${this.padding.top}" width="${slotWidth}" height="${zero - this.padding.top}"></rect>
+                    ${series.map((item, seriesIndex) => {
+                        const y = scale.y(item.values[index]);
+                        return `<rect class="chart-bar" x="${groupLeft + barWidth * seriesIndex}" y="${Math.min(y, zero)}" width="${barWidth}" height="${Math.abs(zero - y)}" rx="2" fill="${item.color}"></rect>`;
+                    }).join('')}
+                </g>
+            `;
+        }).join('');
+
+        this.mount(container, this.renderAxes(scale, labels, slotWidth) + bars);
+    }
+
+    // Линия с точкой на каждый период
+    renderLine(container, { labels, titles = labels, values, color = '#667eea' }) {
+        const scale = this.createScale(values);
+        const slotWidth = (this.width - this.padding.left - this.padding.right) / labels.length;
+        const x = index => this.padding.left + slotWidth * (index + 0.5);
+        const points = values.map((value, index) => `${x(index)},${scale.y(value)}`).join(' ');
+        const zero = scale.y(0);
+
+        const markers = titles.map((title, index) => `
+            <g data-tooltip="${this.escape(`${title}\n${this.formatValue(values[index])}`)}">
+                <rect class="chart-hit" x="${this.padding.left + slotWidth * index}" y="${this.padding.top}" width="${slotWidth}" height="${this.height - this.padding.top - this.padding.bottom}"></rect>
+                ${labels.length <= 62 ? `<circle class="chart-point" cx="${x(index)}" cy="${scale.y(values[index])}" r="3" fill="${color}"></circle>` : ''}
+            </g>
+        `).join('');
+
+        this.mount(container, `
+            ${this.renderAxes(scale, labels, slotWidth)}
+            <line class="chart-zero" x1="${this.padding.left}" x2="${this.width - this.padding.right}" y1="${zero}" y2="${zero}"></line>
+            <polyline class="chart-line" points="${points}" stroke="${color}"></polyline>
+            ${markers}
+        `);
+    }
+
+    // Кольцевая диаграмма с итогом в центре
+    renderDonut(container, { slices }) {
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        const outer = this.height / 2 - 16;
+        const inner = outer * 0.6;
+        const point = (radius, angle) => `${cx + radius * Math.sin(angle)},${cy - radius * Math.cos(angle)}`;
+
+        let angle = 0;
+        const segments = slices.map(slice => {
+            const share = slice.value / total;
+            const tooltip = `${slice.label}\n${this.formatValue(slice.value)} • ${(share * 100).toFixed(1)}%`;
+            // Дуга в полный круг не строится, поэтому единственный сектор рисуем кольцом
+            if (share >= 0.9999) {
+                return `<circle class="chart-slice" data-tooltip="${this.escape(tooltip)}" cx="${cx}" cy="${cy}" r="${(outer + inner) / 2}" fill="none" stroke="${slice.color}" stroke-width="${outer - inner}"></circle>`;
+            }
+            const start = angle;
+            const end = angle + share * Math.PI * 2;
+            angle = end;
+            const large = end - start > Math.PI ? 1 : 0;
+            const path = `M ${point(outer, start)} A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} L ${point(inner, end)} A ${inner} ${inner} 0 ${large} 0 ${point(inner, start)} Z`;
+            return `<path class="chart-slice" data-tooltip="${this.escape(tooltip)}" d="${path}" fill="${slice.color}"></path>`;
+        }).join('');
+
+        this.mount(container, `
+            ${segments}
+            <text class="chart-total-label" x="${cx}" y="${cy - 6}" text-anchor="middle">Всего</text>
+            <text class="chart-total" x="${cx}" y="${cy + 18}" text-anchor="middle">${this.escape(this.formatValue(total))}</text>
+        `);
+    }
+
+    // Легенда под графиком
+    renderLegend(container, items) {
+        container.innerHTML = items.map(item => `
+            <span class="chart-legend-item">
+                <span class="chart-legend-color" style="background: ${item.color}"></span>
+                ${this.escape(item.label)}
+            </span>
+        `).join('');
+    }
+}
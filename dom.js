@@ -0,0 +1,46 @@
+// Финансовый трекер - Безопасное построение DOM
+//
+// h(tag, props, ...children) создает элемент. Строки и числа среди children всегда вставляются
+// как текст, а не как разметка, поэтому пользовательские данные не могут добавить теги или скрипты.
+// props: class, style (объект), dataset (объект), остальные — атрибуты. Обработчики on* запрещены:
+// действия назначаются через data-action и делегированные обработчики (см. FinanceAuth.setupActions).
+
+function h(tag, props = {}, ...children) {
+    const element = document.createElement(tag);
+
+    Object.entries(props || {}).forEach(([name, value]) => {
+        if (value === null || value === undefined || value === false) return;
+        if (/^on/i.test(name)) {
+            throw new Error(`Встроенный обработчик ${name} запрещен, используйте data-action`);
+        }
+        if (name === 'class') {
+            element.setAttribute('class', Array.isArray(value) ? value.filter(Boolean).join(' ') : value);
+        } else if (name === 'style') {
+            Object.assign(element.style, value);
+        } else if (name === 'dataset') {
+            Object.entries(value).forEach(([key, data]) => {
+                if (data !== null && data !== undefined) element.dataset[key] = data;
+            });
+        } else {
+            element.setAttribute(name, value === true ? '' : value);
+        }
+    });
+
+    appendChildren(element, children);
+    return element;
+}
+
+// Добавление потомков: узлы как есть, строки и числа — текстом, пустые значения пропускаются
+function appendChildren(parent, children) {
+    children.flat(Infinity).forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+        parent.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+    });
+    return parent;
+}
+
+// Замена содержимого элемента
+function setChildren(parent, ...children) {
+    parent.textContent = '';
+    return appendChildren(parent, children);
+}
@@ -0,0 +1,100 @@
+// Финансовый трекер - Клиент REST-сервера синхронизации
+
+// Ошибка, которую вернул сервер (status — HTTP-код)
+class RemoteError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RemoteError';
+        this.status = status;
+    }
+}
+
+// Клиент сервера. Нет подключения — TypeError, ответ с ошибкой — RemoteError
+class RemoteClient {
+    constructor(baseUrl, token = null) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = token;
+        this.timeout = 15000;
+    }
+
+    // Запрос к серверу
+    async request(method, path, body) {
+        const headers = { 'Accept': 'application/json' };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            const response = await fetch(this.baseUrl + path, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+            const data = response.status === 204 ? null : await response.json().catch(() => null);
+            if (!response.ok) {
+                throw new RemoteError(data?.error || `HTTP ${response.status}`, response.status);
+            }
+            return data;
+        } catch (error) {
+            // Зависший запрос считаем отсутствием подключения
+            if (error.name === 'AbortError') throw new TypeError('Сервер не отвечает');
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Путь к данным пользователя
+    userPath(username, suffix = '') {
+        return `/api/users/${encodeURIComponent(username)}${suffix}`;
+    }
+
+    health() {
+        return this.request('GET', '/api/health');
+    }
+
+    // Параметры ключей пользователя (соли и число итераций)
+    getUserParams(username) {
+        return this.request('GET', this.userPath(username, '/params'));
+    }
+
+    createUser(user) {
+        return this.request('POST', '/api/users', user);
+    }
+
+    createSession(username, authHash, deviceId) {
+        return this.request('POST', '/api/sessions', { username, authHash, deviceId });
+    }
+
+    deleteSession() {
+        return this.request('DELETE', '/api/sessions/current');
+    }
+
+    deleteAllSessions() {
+        return this.request('DELETE', '/api/sessions');
+    }
+
+    // Смена пароля вместе с перешифрованными данными
+    changePassword(username, body) {
+        return this.request('PUT', this.userPath(username, '/password'), body);
+    }
+
+    // Записи транзакций, измененные после курсора
+    getTransactions(username, since) {
+        return this.request('GET', this.userPath(username, `/transactions?since=${encodeURIComponent(since)}`));
+    }
+
+    putTransactions(username, rows) {
+        return this.request('PUT', this.userPath(username, '/transactions'), { rows });
+    }
+
+    getCollections(username) {
+        return this.request('GET', this.userPath(username, '/collections'));
+    }
+
+    putCollection(username, name, record) {
+        return this.request('PUT', this.userPath(username, `/collections/${encodeURIComponent(name)}`), record);
+    }
+}
@@ -0,0 +1,422 @@
+// Финансовый трекер - Эталонный сервер синхронизации для локальной проверки.
+// Данные хранятся в JSON-файлах; транзакции и коллекции приходят уже зашифрованными.
+// Запуск: node server/server.js (переменные окружения PORT и DATA_DIR)
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const APP_DIR = path.resolve(__dirname, '..');
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+const MAX_BODY = 50 * 1024 * 1024;
+const COLLECTIONS = ['recurring', 'budgets', 'accounts', 'settings', 'rates', 'importRules', 'categories', 'goals'];
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Ошибка запроса с HTTP-кодом
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Чтение JSON-файла из каталога данных
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+// Запись через временный файл, чтобы при сбое не остался обрезанный JSON
+function writeJson(file, data) {
+    const target = path.join(DATA_DIR, file);
+    fs.writeFileSync(target + '.tmp', JSON.stringify(data));
+    fs.renameSync(target + '.tmp', target);
+}
+
+// Файл данных пользователя; имя в hex, чтобы логин не попал в путь
+function userFile(username) {
+    return `user_${Buffer.from(username).toString('hex')}.json`;
+}
+
+// Пользователи по логину; у словаря нет прототипа, чтобы логины вроде constructor и __proto__
+// не совпадали с унаследованными свойствами
+function readUsers() {
+    return Object.assign(Object.create(null), readJson('users.json', {}));
+}
+
+function readUserData(username) {
+    return readJson(userFile(username), { seq: 0, transactions: {}, collections: {} });
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Сравнение за постоянное время
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function isText(value, max = 1024) {
+    return typeof value === 'string' && value.length > 0 && value.length <= max;
+}
+
+// Обычный объект: null, массивы и примитивы не подходят
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIterations(value) {
+    return Number.isInteger(value) && value >= 100000;
+}
+
+// Проверка строки транзакции: содержимое зашифровано, открыты только id, дата и версия
+function validateRow(row) {
+    if (!row || typeof row !== 'object' || !isText(String(row.id ?? ''), 200)) {
+        throw new HttpError(400, 'Некорректная запись');
+    }
+    if (!row.payload || typeof row.payload.ciphertext !== 'string' || typeof row.payload.iv !== 'string') {
+        throw new HttpError(400, 'Запись должна быть зашифрована');
+    }
+    return {
+        id: row.id,
+        date: typeof row.date === 'string' ? row.date : '',
+        signature: typeof row.signature === 'string' ? row.signature : '',
+        payload: { alg: row.payload.alg, iv: row.payload.iv, ciphertext: row.payload.ciphertext }
+    };
+}
+
+function validateCollection(record) {
+    if (!record || !isText(record.updatedAt, 64) || !record.payload || typeof record.payload.ciphertext !== 'string') {
+        throw new HttpError(400, 'Некорректная коллекция');
+    }
+    return { updatedAt: record.updatedAt, payload: record.payload };
+}
+
+// Проверка токена сессии
+function authenticate(req, username) {
+    const match = /^Bearer\s+(\S+)$/.exec(req.headers.authorization || '');
+    if (!match) throw new HttpError(401, 'Требуется вход');
+
+    const sessions = readJson('sessions.json', {});
+    const session = sessions[sha256(match[1])];
+    if (!session || new Date(session.expiresAt).getTime() < Date.now()) {
+        throw new HttpError(401, 'Сессия недействительна');
+    }
+    if (username !== undefined && session.username !== username) {
+        throw new HttpError(403, 'Нет доступа к данным другого пользователя');
+    }
+    return { ...session, tokenHash: sha256(match[1]) };
+}
+
+// Проверка пароля по хешу, который вычислил клиент
+function checkAuthHash(user, authHash) {
+    return !!user && typeof authHash === 'string' && safeEqual(sha256(user.authSalt + ':' + authHash), user.authVerifier);
+}
+
+// Новая сессия пользователя
+function createSession(username, deviceId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const sessions = readJson('sessions.json', {});
+    // Заодно убираем истекшие
+    Object.keys(sessions).forEach(key => {
+        if (new Date(sessions[key].expiresAt).getTime() < now) delete sessions[key];
+    });
+    sessions[sha256(token)] = {
+        username,
+        deviceId: typeof deviceId === 'string' ? deviceId.slice(0, 100) : '',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_TTL).toISOString()
+    };
+    writeJson('sessions.json', sessions);
+    return { token, expiresAt: sessions[sha256(token)].expiresAt };
+}
+
+// Маршруты API: [метод, шаблон пути, обработчик]
+const routes = [
+    ['GET', /^\/api\/health$/, () => ({ ok: true, time: new Date().toISOString() })],
+
+    ['POST', /^\/api\/users$/, ({ body }) => {
+        const { username, email, createdAt, authSalt, authIterations, authHash, vaultSalt, vaultIterations } = body;
+        if (!isText(username, 100) || username.length < 3 || !isText(authSalt) || !isText(authHash) ||
+            !isText(vaultSalt) || !isIterations(authIterations) || !isIterations(vaultIterations)) {
+            throw new HttpError(400, 'Некорректные данные пользователя');
+        }
+
+        const users = readUsers();
+        if (users[username]) throw new HttpError(409, 'Пользователь с таким логином уже существует');
+
+        users[username] = {
+            username,
+            email: typeof email === 'string' ? email.slice(0, 200) : '',
+            createdAt: isText(createdAt, 64) ? createdAt : new Date().toISOString(),
+            authSalt,
+            authIterations,
+            authVerifier: sha256(authSalt + ':' + authHash),
+            vaultSalt,
+            vaultIterations,
+            updatedAt: new Date().toISOString()
+        };
+        writeJson('users.json', users);
+        return { status: 201, body: { username } };
+    }],
+
+    ['GET', /^\/api\/users\/([^/]+)\/params$/, ({ params: [username] }) => {
+        const user = readUsers()[username];
+        if (!user) throw new HttpError(404, 'Пользователь не найден');
+        const { authSalt, authIterations, vaultSalt, vaultIterations } = user;
+        return { authSalt, authIterations, vaultSalt, vaultIterations };
+    }],
+
+    ['POST', /^\/api\/sessions$/, ({ body }) => {
+        const user = readUsers()[body.username];
+        if (!checkAuthHash(user, body.authHash)) throw new HttpError(401, 'Неверный логин или пароль');
+
+        const { username, email, createdAt, vaultSalt, vaultIterations } = user;
+        return { status: 201, body: { ...createSession(username, body.deviceId), user: { username, email, createdAt, vaultSalt, vaultIterations } } };
+    }],
+
+    ['DELETE', /^\/api\/sessions\/current$/, ({ req }) => {
+        const session = authenticate(req);
+        const sessions = readJson('sessions.json', {});
+        delete sessions[session.tokenHash];
+        writeJson('sessions.json', sessions);
+        return { status: 204 };
+    }],
+
+    ['DELETE', /^\/api\/sessions$/, ({ req }) => {
+        const session = authenticate(req);
+        const sessions = readJson('sessions.json', {});
+        Object.keys(sessions).forEach(key => {
+            if (sessions[key].username === session.username) delete sessions[key];
+        });
+        writeJson('sessions.json', sessions);
+        return { status: 204 };
+    }],
+
+    // Смена пароля: данные приходят перешифрованными новым ключом и заменяют прежние целиком,
+    // если устройство успело получить все изменения (курсор не старше текущего)
+    ['PUT', /^\/api\/users\/([^/]+)\/password$/, ({ req, body, params: [username] }) => {
+        const session = authenticate(req, username);
+        const users = readUsers();
+        const user = users[username];
+        if (!checkAuthHash(user, body.authHash)) throw new HttpError(401, 'Неверный текущий пароль');
+
+        const { newAuth = {}, vaultSalt, vaultIterations, rows, collections = {} } = body;
+        if (!isObject(newAuth) || !isObject(collections) ||
+            !isText(newAuth.authSalt) || !isText(newAuth.authHash) || !isIterations(newAuth.authIterations) ||
+            !isText(vaultSalt) || !isIterations(vaultIterations) || !Array.isArray(rows)) {
+            throw new HttpError(400, 'Некорректные данные');
+        }
+
+        const cursor = Number(body.cursor);
+        if (!Number.isInteger(cursor) || cursor < 0) throw new HttpError(400, 'Некорректные данные');
+
+        const data = readUserData(username);
+        // Устройство не видело последних изменений — перешифрованная копия их бы стерла
+        if (data.seq > cursor) throw new HttpError(409, 'На сервере есть изменения, которых нет на устройстве');
+        data.transactions = {};
+        rows.map(validateRow).forEach(row => {
+            data.seq += 1;
+            data.transactions[row.id] = { ...row, seq: data.seq };
+        });
+        data.collections = {};
+        Object.entries(collections).forEach(([name, record]) => {
+            if (COLLECTIONS.includes(name)) data.collections[name] = validateCollection(record);
+        });
+        writeJson(userFile(username), data);
+
+        Object.assign(user, {
+            authSalt: newAuth.authSalt,
+            authIterations: newAuth.authIterations,
+            authVerifier: sha256(newAuth.authSalt + ':' + newAuth.authHash),
+            vaultSalt,
+            vaultIterations,
+            updatedAt: new Date().toISOString()
+        });
+        writeJson('users.json', users);
+
+        // Остальные устройства должны войти с новым паролем
+        const sessions = readJson('sessions.json', {});
+        Object.keys(sessions).forEach(key => {
+            if (sessions[key].username === username && key !== session.tokenHash) delete sessions[key];
+        });
+        writeJson('sessions.json', sessions);
+        return { cursor: data.seq };
+    }],
+
+    ['GET', /^\/api\/users\/([^/]+)\/transactions$/, ({ req, query, params: [username] }) => {
+        authenticate(req, username);
+        const since = Number(query.get('since')) || 0;
+        const data = readUserData(username);
+        const rows = Object.values(data.transactions)
+            .filter(row => row.seq > since)
+            .map(({ seq, ...row }) => row);
+        return { rows, cursor: data.seq };
+    }],
+
+    ['PUT', /^\/api\/users\/([^/]+)\/transactions$/, ({ req, body, params: [username] }) => {
+        authenticate(req, username);
+        if (!Array.isArray(body.rows)) throw new HttpError(400, 'Ожидается список записей');
+
+        const data = readUserData(username);
+        body.rows.map(validateRow).forEach(row => {
+            data.seq += 1;
+            data.transactions[row.id] = { ...row, seq: data.seq };
+        });
+        writeJson(userFile(username), data);
+        return { cursor: data.seq };
+    }],
+
+    ['GET', /^\/api\/users\/([^/]+)\/collections$/, ({ req, params: [username] }) => {
+        authenticate(req, username);
+        return readUserData(username).collections;
+    }],
+
+    // Коллекция заменяется только более новой версией
+    ['PUT', /^\/api\/users\/([^/]+)\/collections\/([^/]+)$/, ({ req, body, params: [username, name] }) => {
+        authenticate(req, username);
+        if (!COLLECTIONS.includes(name)) throw new HttpError(404, 'Неизвестная коллекция');
+
+        const record = validateCollection(body);
+        const data = readUserData(username);
+        const current = data.collections[name];
+        const stored = !current || new Date(record.updatedAt) > new Date(current.updatedAt);
+        if (stored) {
+            // Курсор сдвигается и для коллекций, чтобы смена пароля заметила их изменение
+            data.seq += 1;
+            data.collections[name] = record;
+            writeJson(userFile(username), data);
+        }
+        return { stored };
+    }]
+];
+
+// Заголовки CORS: приложение может открываться с другого адреса
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function sendJson(res, status, body) {
+    if (body === undefined) {
+        res.writeHead(status);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// Чтение тела запроса с ограничением размера
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new HttpError(413, 'Слишком большой запрос'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                reject(new HttpError(400, 'Некорректный JSON'));
+                return;
+            }
+            if (!isObject(body)) return reject(new HttpError(400, 'Ожидается JSON-объект'));
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+// Файлы приложения, чтобы проверять клиент и сервер с одного адреса
+function serveStatic(pathname, res) {
+    let decoded;
+    try {
+        decoded = pathname === '/' ? '/index.html' : decodeURIComponent(pathname);
+    } catch (error) {
+        sendJson(res, 400, { error: 'Некорректный адрес' });
+        return;
+    }
+    const file = path.resolve(APP_DIR, '.' + decoded);
+    const type = STATIC_TYPES[path.extname(file)];
+    if (!type || !file.startsWith(APP_DIR + path.sep) || file.startsWith(__dirname + path.sep) || !fs.existsSync(file)) {
+        sendJson(res, 404, { error: 'Не найдено' });
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(file).pipe(res);
+}
+
+async function handle(req, res) {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') return sendJson(res, 204);
+
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) {
+        if (req.method === 'GET' && !url.pathname.startsWith('/api/')) return serveStatic(url.pathname, res);
+        return sendJson(res, 404, { error: 'Не найдено' });
+    }
+
+    try {
+        const [, pattern, handler] = route;
+        const params = pattern.exec(url.pathname).slice(1).map(value => {
+            try {
+                return decodeURIComponent(value);
+            } catch (error) {
+                throw new HttpError(400, 'Некорректный адрес');
+            }
+        });
+        const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+        const result = handler({ req, body, params, query: url.searchParams });
+        if (result && 'status' in result) return sendJson(res, result.status, result.body);
+        return sendJson(res, 200, result);
+    } catch (error) {
+        if (!(error instanceof HttpError)) console.error(error);
+        return sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Внутренняя ошибка сервера' });
+    }
+}
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+// Необработанная ошибка одного запроса не должна останавливать сервер
+http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+        console.error(error);
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        sendJson(res, 500, { error: 'Внутренняя ошибка сервера' });
+    });
+}).listen(PORT, () => {
+    console.log(`Finance sync server on http://localhost:${PORT} (data: ${DATA_DIR})`);
+});
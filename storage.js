@@ -0,0 +1,181 @@
+// Финансовый трекер - Хранилище данных: адаптеры IndexedDB и localStorage
+//
+// Интерфейс адаптера:
+//   getItem(key), setItem(key, value), removeItem(key), keys() — служебные данные (строки), синхронно;
+//   getRecords(space, username) — записи пользователя в пространстве;
+//   writeRecords(operations) — пакет операций { type: 'put' | 'delete' | 'clear', space, username, rows, ids }.
+// Запись: { id, date, signature, payload }; space — 'local' (копия устройства), 'global' (общая копия), 'base' (версии прошлого слияния).
+
+// Адаптер на localStorage: запасной вариант, когда IndexedDB недоступен
+class LocalStorageAdapter {
+    constructor() {
+        this.type = 'localStorage';
+        this.ready = Promise.resolve();
+    }
+
+    // Служебные данные: пользователи, сессии, настройки
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+
+    // Ключ записей пользователя в localStorage
+    getRecordsKey(space, username) {
+        return `records_${space}_${username}`;
+    }
+
+    // Записи пользователя по id
+    readRecordMap(space, username) {
+        try {
+            return JSON.parse(localStorage.getItem(this.getRecordsKey(space, username)) || '{}');
+        } catch (error) {
+            console.error('Error reading records:', error);
+            return {};
+        }
+    }
+
+    async getRecords(space, username) {
+        return Object.values(this.readRecordMap(space, username));
+    }
+
+    async writeRecords(operations) {
+        const maps = new Map();
+        const getMap = (space, username) => {
+            const key = this.getRecordsKey(space, username);
+            if (!maps.has(key)) maps.set(key, this.readRecordMap(space, username));
+            return maps.get(key);
+        };
+
+        operations.forEach(({ type, space, username, rows = [], ids = [] }) => {
+            const records = getMap(space, username);
+            if (type === 'clear') {
+                Object.keys(records).forEach(id => delete records[id]);
+            } else if (type === 'put') {
+                rows.forEach(row => { records[row.id] = { id: row.id, date: row.date, signature: row.signature, payload: row.payload }; });
+            } else if (type === 'delete') {
+                ids.forEach(id => delete records[id]);
+            }
+        });
+
+        // При ошибке записи возвращаем ключи в исходное состояние
+        const previous = new Map([...maps.keys()].map(key => [key, localStorage.getItem(key)]));
+        try {
+            maps.forEach((records, key) => {
+                if (Object.keys(records).length > 0) {
+                    localStorage.setItem(key, JSON.stringify(records));
+                } else {
+                    localStorage.removeItem(key);
+                }
+            });
+        } catch (error) {
+            previous.forEach((value, key) => {
+                if (value === null) localStorage.removeItem(key);
+                else localStorage.setItem(key, value);
+            });
+            throw error;
+        }
+    }
+}
+
+// Адаптер на IndexedDB: каждая транзакция — отдельная запись с индексами по пользователю и дате.
+// Служебные данные остаются в localStorage: их нужно читать синхронно, и другие вкладки сразу видят изменения сессии
+class IndexedDBAdapter extends LocalStorageAdapter {
+    constructor(name = 'finance_tracker') {
+        super();
+        this.type = 'indexedDB';
+        this.name = name;
+        this.version = 1;
+        this.db = null;
+        this.ready = this.open().catch(error => {
+            // Например, приватный режим браузера — записи остаются в localStorage
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            this.type = 'localStorage';
+        });
+    }
+
+    // Открытие базы и создание хранилища записей
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('records')) {
+                    const store = db.createObjectStore('records', { keyPath: ['space', 'username', 'id'] });
+                    store.createIndex('byUser', ['space', 'username']);
+                    store.createIndex('byUserDate', ['space', 'username', 'date']);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Другая вкладка обновляет схему — освобождаем базу
+                this.db.onversionchange = () => this.db.close();
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB открыт в другой вкладке со старой версией'));
+        });
+    }
+
+    // Ожидание завершения транзакции IndexedDB
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Транзакция IndexedDB прервана'));
+        });
+    }
+
+    async getRecords(space, username) {
+        await this.ready;
+        if (!this.db) return super.getRecords(space, username);
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('records', 'readonly')
+                .objectStore('records')
+                .index('byUser')
+                .getAll(IDBKeyRange.only([space, username]));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Все операции пакета выполняются в одной транзакции: либо все, либо ни одной
+    async writeRecords(operations) {
+        await this.ready;
+        if (!this.db) return super.writeRecords(operations);
+
+        const transaction = this.db.transaction('records', 'readwrite');
+        const store = transaction.objectStore('records');
+        operations.forEach(({ type, space, username, rows = [], ids = [] }) => {
+            if (type === 'clear') {
+                // Массив в ключе больше любого id, поэтому диапазон охватывает все записи пользователя
+                store.delete(IDBKeyRange.bound([space, username], [space, username, []]));
+            } else if (type === 'put') {
+                rows.forEach(row => store.put({ space, username, id: row.id, date: row.date, signature: row.signature, payload: row.payload }));
+            } else if (type === 'delete') {
+                ids.forEach(id => store.delete([space, username, id]));
+            }
+        });
+        await this.complete(transaction);
+    }
+}
+
+// Выбор адаптера хранилища
+function createStorageAdapter() {
+    return typeof indexedDB !== 'undefined' ? new IndexedDBAdapter() : new LocalStorageAdapter();
+}
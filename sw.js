@@ -0,0 +1,72 @@
+// Финансовый трекер - Service Worker: офлайн-оболочка приложения
+//
+// При изменении любого файла оболочки увеличьте версию кэша — клиенты увидят предложение обновиться.
+
+const CACHE_VERSION = 1;
+const CACHE_PREFIX = 'fintrack-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'storage.js',
+    'remote.js',
+    'charts.js',
+    'dom.js',
+    'auth.js',
+    'app.js',
+    'manifest.json',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png'
+];
+
+// Установка: заранее кэшируем оболочку. Новая версия ждет подтверждения пользователя
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL.map(path => new Request(path, { cache: 'reload' }))))
+    );
+});
+
+// Активация: удаляем кэши прошлых версий
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Пользователь согласился на обновление
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    // Чужие адреса и API сервера синхронизации не кэшируем
+    if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    // Переходы обслуживаем оболочкой: приложение одностраничное
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Файлы оболочки — из кэша, остальное — из сети
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});